@@ -3,17 +3,24 @@
 // The reason is simple - always up-to-date API.
 
 const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const rimraf = require('rimraf');
 const beautify = require('js-beautify');
 const { ConcurrencyManager } = require('axios-concurrency');
 
-// How many web requests can occur simultaneously.
+// How many web requests can occur simultaneously (by default, see the "concurrency" option).
 // It is not recommended to set too high a value because it will affect stability
 const MAX_SIMULTANEOUS_REQUESTS = 30;
+// How many times a failed request for a document is repeated (by default, see the "retries" option)
+const DOCUMENT_RETRIES = 3;
+// Delay before the first repetition, doubled for each next one (ms)
+const RETRY_DELAY = 1000;
+// Nesting level up to which the properties of object parameters are validated
+const MAX_VALIDATION_DEPTH = 3;
 
-const client = axios.create();
-ConcurrencyManager(client, MAX_SIMULTANEOUS_REQUESTS);
+// Directory of the hand-written modules (client, errors, etc) required by the generated files
+const RUNTIME_DIR = path.join(__dirname, 'dist');
 
 const currentYear = new Date().getFullYear();
 
@@ -24,50 +31,61 @@ const currentYear = new Date().getFullYear();
    },
  });
 
+// API addresses to be excluded
+const EXCLUDED_APIS = [
+  'https://friendsite.roblox.com', // UNAVAILABLE
+  'roblox.com' // MAIN DOMAIN
+];
+
+/**
+ * Extracts API addresses from a page (for sources specified only by their link)
+ * @param  {string}        html Page
+ * @return {Array<string>}      APIs
+ */
+const parseApiLinks = html => Array.from(
+  html.matchAll(/https?:\/\/[a-zA-Z\-]+?\.roblox\.com(?=[\/"'<\s])/g)
+).map(match => match[0].replace('http:', 'https:'));
+
+// Pages from which the list of APIs is taken (can be replaced in the config)
+const DEFAULT_SOURCES = [
+  /*{ // Disabled due to unavailability :(
+    link: 'https://api.roblox.com/docs?useConsolidatedPage=true',
+    parser: html => {
+      // We are looking for Roblox.EnvironmentUrls = {...} in the code,
+      // parse and return the keys where the links will be
+      const matches = html.match(/Roblox\.EnvironmentUrls = (\{.*?\})/);
+      return Object.keys(JSON.parse(matches[1]));
+    }
+  },*/
+  {
+    link: 'https://devforum.roblox.com/t/collected-list-of-apis/557091',
+    parser: html => {
+      // We are looking for links (excluding aliases),
+      // replace the protocol without encryption with the protocol with encryption
+      return Array.from(
+        html.matchAll(/<li>\s*<a href="(https?:\/\/[a-zA-Z\-]+?\.roblox\.com)">/g)
+      ).map(match => match[1]).map(link => link.replace('http:', 'https:'));
+    }
+  },
+  {
+    link: 'https://github.com/AntiBoomz/BTRoblox/blob/master/README.md',
+    parser: html => {
+      return Array.from(
+        html.matchAll(/<a href="(https:\/\/[a-zA-Z\-]+?\.roblox\.com)\/docs" rel="nofollow">/g)
+      ).map(match => match[1]);
+    }
+  }
+];
+
 /**
  * Retrieves a list of APIs from various sources
- * @return {Array<string>} APIs
+ * @param  {Array<Object>} sources Pages with the APIs ({ link, parser })
+ * @return {Array<string>}         APIs
  */
-async function fetchApiList() {
+async function fetchApiList(sources) {
   const apiList = [];
   const requests = [];
 
-  // API addresses to be excluded
-  const excludes = [
-    'https://friendsite.roblox.com', // UNAVAILABLE
-    'roblox.com' // MAIN DOMAIN
-  ];
-
-  const sources = [
-    /*{ // Disabled due to unavailability :(
-      link: 'https://api.roblox.com/docs?useConsolidatedPage=true',
-      parser: html => {
-        // We are looking for Roblox.EnvironmentUrls = {...} in the code,
-        // parse and return the keys where the links will be
-        const matches = html.match(/Roblox\.EnvironmentUrls = (\{.*?\})/);
-        return Object.keys(JSON.parse(matches[1]));
-      }
-    },*/
-    {
-      link: 'https://devforum.roblox.com/t/collected-list-of-apis/557091',
-      parser: html => {
-        // We are looking for links (excluding aliases),
-        // replace the protocol without encryption with the protocol with encryption
-        return Array.from(
-          html.matchAll(/<li>\s*<a href="(https?:\/\/[a-zA-Z\-]+?\.roblox\.com)">/g)
-        ).map(match => match[1]).map(link => link.replace('http:', 'https:'));
-      }
-    },
-    {
-      link: 'https://github.com/AntiBoomz/BTRoblox/blob/master/README.md',
-      parser: html => {
-        return Array.from(
-          html.matchAll(/<a href="(https:\/\/[a-zA-Z\-]+?\.roblox\.com)\/docs" rel="nofollow">/g)
-        ).map(match => match[1]);
-      }
-    }
-  ];
-
   for (let source of sources) {
     requests.push(
       axios.get(source.link)
@@ -87,115 +105,416 @@ async function fetchApiList() {
 
   // We are waiting for all requests to be completed
   await Promise.all(requests);
-  return apiList.filter(api => excludes.indexOf(api) === -1);
+  return apiList.filter(api => EXCLUDED_APIS.indexOf(api) === -1);
+}
+
+/**
+ * Builds the API name from its address (sub-domain): https://game-internationalization.roblox.com -> GameInternationalization
+ * @param  {string} url API address
+ * @return {string}     API name (null if the address is not recognized)
+ */
+function getApiName(url) {
+  const apiClassNameMatch = url.match(/\/([a-zA-Z\-]+?)\./);
+  if (!apiClassNameMatch) {
+    return null;
+  }
+  let apiClassName = '';
+  for (let part of apiClassNameMatch[1].split('-')) {
+    // Normalize the part
+    apiClassName += part.toNormalCase();
+  }
+  return apiClassName;
 }
 
 /**
  * Requests metadata for each endpoint
- * @param  {Array<string>} apisList Links to APIs
- * @return {Object}                 Metadata
+ * @param  {Array<string>} apisList  Links to APIs
+ * @param  {Object}        source    Source of documents (live or snapshot)
+ * @param  {function}      [getName] Builds the API name from its address (getApiName by default)
+ * @return {Object}                  Metadata ({ result, availableCount, unavailable: [{ name, url, reason }] })
  */
-async function fetchMeta(apisList) {
+async function fetchMeta(apisList, source, getName = getApiName) {
   const metaRequests = [];
   const result = {};
+  const unavailable = [];
   let availableCount = 0;
 
   for (let url of apisList) {
     metaRequests.push(
-      client.get(`${url}/docs/metadata`)
-        .then(res => {
-          const meta = res.data;
+      source.fetchMetadata(url)
+        .then(meta => {
           // Pull API name from address (sub-domain)
-          const apiClassNameMatch = url.match(/\/([a-zA-Z\-]+?)\./);
-          if (apiClassNameMatch) {
-            const apiClassNameRaw = apiClassNameMatch[1];
-            let apiClassName = '';
-            for(let part of apiClassNameRaw.split('-')) {
-              // Normalize the part
-              apiClassName += part.toNormalCase();
-            }
+          const apiClassName = getName(url);
+          if (apiClassName) {
             result[apiClassName] = { ...meta, url };
             availableCount++;
           }
         })
         .catch(
-          // Ignore, unavailable
-          err => null
+          // Skip, unavailable
+          err => unavailable.push({ name: getName(url) || url, url, reason: err.message })
         )
     );
   }
 
   // Wait until all metadata is received
   await Promise.all(metaRequests);
-  return { result, availableCount };
+  return { result, availableCount, unavailable };
+}
+
+// ---- Document sources
+
+// Version of the snapshot directory layout.
+// Increase it when the layout changes, so that old snapshots are not read incorrectly
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Name of the file with the snapshot index
+const SNAPSHOT_INDEX = 'snapshot.json';
+
+/**
+ * Calls the function again with exponential backoff while it fails
+ * @param  {function():Promise} fn      Request
+ * @param  {number}             retries Number of repetitions
+ * @param  {number}             delay   Delay before the first repetition (ms)
+ * @return {Promise}                    Result of the request
+ */
+async function withRetries(fn, retries, delay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      // Client errors (except for throttling) will not disappear on the next attempt
+      const status = err.response ? err.response.status : null;
+      if (attempt >= retries || (status >= 400 && status < 500 && status !== 429)) {
+        throw err;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Creates a source that downloads everything from Roblox servers
+ * @param  {Object} config Build config (sources, concurrency, retries)
+ * @return {Object}        Source of documents
+ */
+function createLiveSource(config) {
+  const client = axios.create();
+  ConcurrencyManager(client, config.concurrency);
+  const get = url => withRetries(() => client.get(url), config.retries, config.retryDelay).then(res => res.data);
+
+  return {
+    fetchApiList: () => fetchApiList(config.sources),
+    fetchMetadata: url => get(`${url}/docs/metadata`),
+    fetchDocument: (url, version) => get(`${url}/docs/json/${version}`),
+    fetchUrl: get
+  };
+}
+
+/**
+ * Wraps the source so that the APIs of the "specs" option are read from their own files or addresses
+ * (instead of /docs/metadata and /docs/json/{version})
+ * @param  {Object}        source Source of documents (live)
+ * @param  {Array<Object>} specs  APIs with their documents ({ url, name, description, versions: { v1: file or address } })
+ * @return {Object}               Source of documents
+ */
+function createSpecSource(source, specs) {
+  const documents = {};
+  const findSpec = url => specs.find(spec => spec.url === url);
+
+  const readDocument = (spec, version) => {
+    const location = spec.versions[version];
+    if (!location) {
+      return Promise.reject(new Error(`Document of "${spec.url}" (${version}) is not specified`));
+    }
+    if (!documents[location]) {
+      documents[location] = /^https?:\/\//.test(location)
+        ? source.fetchUrl(location)
+        : fs.promises.readFile(location, 'utf8').then(JSON.parse);
+      documents[location] = documents[location].catch(err => {
+        throw new Error(`Cannot read "${location}": ${err.message}`);
+      });
+    }
+    return documents[location];
+  };
+
+  return {
+    fetchApiList: () => source.fetchApiList(),
+    fetchMetadata: url => {
+      const spec = findSpec(url);
+      if (!spec) return source.fetchMetadata(url);
+      const versions = Object.keys(spec.versions);
+      // The title and the description are taken from the document of the first version
+      return readDocument(spec, versions[0]).then(doc => {
+        const info = doc.info || {};
+        return { name: info.title || spec.name, description: spec.description || info.description || '', versions };
+      });
+    },
+    fetchDocument: (url, version) => {
+      const spec = findSpec(url);
+      return spec ? readDocument(spec, version) : source.fetchDocument(url, version);
+    }
+  };
+}
+
+/**
+ * Wraps the source and remembers everything that was received through it
+ * @param  {Object} source Source of documents
+ * @return {Object}        Source of documents with the "snapshot" field (received data)
+ */
+function createRecordingSource(source) {
+  const snapshot = { apiList: [], metadata: {}, documents: {} };
+
+  return {
+    snapshot,
+    fetchApiList: () => source.fetchApiList().then(apiList => {
+      snapshot.apiList = apiList;
+      return apiList;
+    }),
+    fetchMetadata: url => source.fetchMetadata(url).then(meta => {
+      snapshot.metadata[url] = meta;
+      return meta;
+    }),
+    fetchDocument: (url, version) => source.fetchDocument(url, version).then(doc => {
+      snapshot.documents[url] = snapshot.documents[url] || {};
+      snapshot.documents[url][version] = doc;
+      return doc;
+    })
+  };
+}
+
+/**
+ * Saves the received documents to the snapshot directory
+ * @param {string} dir      Snapshot directory
+ * @param {Object} snapshot Received data (see createRecordingSource)
+ */
+function writeSnapshot(dir, snapshot) {
+  const index = {
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    apiList: snapshot.apiList,
+    apis: {}
+  };
+
+  const writeJSON = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2));
+  };
+
+  for (let [url, meta] of Object.entries(snapshot.metadata)) {
+    // One directory per API, named by its host (chat.roblox.com, etc) and the path if there is one (specs)
+    const { host: hostName, pathname } = new URL(url);
+    const host = `${hostName}${pathname.replace(/\/+$/, '').replace(/\//g, '_')}`;
+    const documents = snapshot.documents[url] || {};
+    index.apis[url] = {
+      metadata: `${host}/metadata.json`,
+      documents: {}
+    };
+    writeJSON(index.apis[url].metadata, meta);
+
+    for (let [version, doc] of Object.entries(documents)) {
+      index.apis[url].documents[version] = `${host}/${version}.json`;
+      writeJSON(index.apis[url].documents[version], doc);
+    }
+  }
+
+  writeJSON(SNAPSHOT_INDEX, index);
+}
+
+/**
+ * Creates a source that reads documents from the snapshot directory (without network access)
+ * @param  {string} dir Snapshot directory
+ * @return {Object}     Source of documents
+ */
+function createSnapshotSource(dir) {
+  const indexPath = path.join(dir, SNAPSHOT_INDEX);
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Snapshot not found: "${indexPath}" does not exist`);
+  }
+
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  if (index.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported snapshot format version: ${index.formatVersion} (expected ${SNAPSHOT_FORMAT_VERSION})`
+    );
+  }
+
+  const readJSON = async file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+  return {
+    fetchApiList: async () => index.apiList,
+    fetchMetadata: async url => {
+      // The metadata was not saved, so the API was unavailable at the time of the snapshot
+      if (!index.apis[url]) throw new Error(`Metadata of "${url}" is not in the snapshot`);
+      return readJSON(index.apis[url].metadata);
+    },
+    fetchDocument: async (url, version) => {
+      const documents = index.apis[url] ? index.apis[url].documents : {};
+      if (!documents[version]) throw new Error(`Document "${url}" (${version}) is not in the snapshot`);
+      return readJSON(documents[version]);
+    }
+  };
+}
+
+/**
+ * Builds the path from the directory of a generated file to the hand-written modules (for require)
+ * @param  {string} fromDir Directory of the generated file
+ * @return {string}         Relative path (".", "..", "../node_modules/rbx-api-client/dist", etc)
+ */
+function getRuntimePath(fromDir) {
+  const relative = path.relative(fromDir, RUNTIME_DIR).split(path.sep).join('/');
+  if (!relative) return '.';
+  return relative.startsWith('.') ? relative : `./${relative}`;
 }
 
 /**
- * Creates API class files (one version - one file)
- * @param  {string} name API name
- * @param  {Object} data API data (metadata and version methods)
+ * Creates API class files (one version - one file) and their declarations
+ * @param  {string} name    API name
+ * @param  {Object} data    API data (metadata and version methods)
+ * @param  {string} dir     Directory where the files are created
+ * @param  {string} runtime Path from the API classes to the hand-written modules (see getRuntimePath)
  */
-async function createAPIClasses(name, data) {
-  for (let [version, methods] of Object.entries(data.versions)) {
+async function createAPIClasses(name, data, dir, runtime) {
+  for (let [version, { methods, typedefs, types }] of Object.entries(data.versions)) {
     // If the selected version has no methods (yes, it can be), then we ignore it
     if (methods.length === 0) continue;
+    const className = buildClassName(name, version);
+    const fileName = path.join(dir, 'apis', `${name}_${version.replace(/\.0$/, '')}`);
+    const hasPagination = methods.some(method => method.pagination);
+    const hasForms = methods.some(method => method.form);
+    const hasUploads = methods.some(method => method.upload);
+    // Compact schemas of the parameters for validation before the request is sent
+    const paramsSchemas = methods
+      .filter(method => method.validation)
+      .map(method => `${JSON.stringify(method.name)}: ${JSON.stringify(method.validation)}`);
+
     fs.writeFileSync(
-      `./dist/apis/${name}_${version.replace(/\.0$/, '')}.js`,
+      `${fileName}.js`,
       beautify(
         `// Automatically generated (Vsevolod Volkov ${currentYear}©)
+        const { validateParams, checkPathParams } = require('${runtime}/validate');
+        const { applyCallOptions } = require('${runtime}/call-options');
+        ${hasPagination ? `const paginate = require('${runtime}/paginate');` : ''}
+        ${hasForms ? `const { MultipartBody, createUrlEncodedBody } = require('${runtime}/multipart');` : ''}
+
+        // Schemas of the method parameters (see validate.js)
+        const PARAMS_SCHEMAS = {
+          ${paramsSchemas.join(',\n')}
+        };
 
-        /**
-         * Throws an exception if the value was not overwritten when the function was called
-         * @param  {string}      paramName Parameter name
-         * @throws {SyntaxError}           A message stating that you must specify the "..." parameter when calling the "..." function
-         */
-        function required(paramName) {
-          throw new SyntaxError(
-            \`Required parameter "\${paramName}" of method "\${arguments.callee.caller.name}" is not specified\`
-          );
-        }
+        ${typedefs.join('\n\n')}
 
         /** ${data.meta.name}: ${data.meta.description} */
-        class ${name}_${version.replace(/\.0$/, '').replace(/\./g, '_')} {
+        class ${className} {
           /**
            * Create endpoint class representation and bind axios client
-           * @param {AxiosInstance} client Client for web requests.
+           * @param {AxiosInstance} client                     Client for web requests.
+           * @param {Object}        [options]                  Client options
+           * @param {Boolean}       [options.validate = true]  Check the parameters before the request is sent
            */
-          constructor(client) {
+          constructor(client, options = {}) {
             this.client = client;
+            this.validate = options.validate !== false;
           }
 
-          ${methods.join('\n\n')}
+          ${methods.map(method => method.code).join('\n\n')}
         }
 
-        module.exports = ${name}_${version.replace(/\.0$/, '').replace(/\./g, '_')};
+        module.exports = ${className};
         `, { indent_size: 2 }
       )
-    )
+    );
+
+    // js-beautify does not understand TypeScript, so the declarations are formatted by hand
+    const paramsDeclarations = methods
+      .map(method => method.declaration.params)
+      .filter(Boolean);
+
+    fs.writeFileSync(
+      `${fileName}.d.ts`,
+      `// Automatically generated (Vsevolod Volkov ${currentYear}©)
+import { AxiosInstance } from 'axios';
+import callOptions = require('${runtime}/call-options');
+${hasPagination ? `import paginate = require('${runtime}/paginate');\n` : ''}${hasUploads ? `import multipart = require('${runtime}/multipart');\n` : ''}
+/** ${escapeComment(data.meta.name)}: ${escapeComment(data.meta.description)} */
+declare class ${className} {
+  /**
+   * Create endpoint class representation and bind axios client
+   * @param client    Client for web requests.
+   * @param [options] Client options (validate - check the parameters before the request is sent)
+   */
+  constructor(client: AxiosInstance, options?: { validate?: boolean });
+
+  client: AxiosInstance;
+  /** Check the parameters before the request is sent */
+  validate: boolean;
+
+${indent(methods.map(method => method.declaration.method).join('\n\n'))}
+}
+
+declare namespace ${className} {
+${indent([...types, ...paramsDeclarations].join('\n\n'))}
+}
+
+export = ${className};
+`
+    );
   }
 }
 
 /**
  * Creating the main package file
- * @param {Object} apis Data on all APIs
+ * @param {Object} apis    Data on all APIs
+ * @param {string} dir     Directory where the files are created
+ * @param {string} runtime Path from the main file to the hand-written modules (see getRuntimePath)
  */
-async function createIndex(apis) {
+async function createIndex(apis, dir, runtime) {
   fs.writeFileSync(
-    `./dist/index.js`,
+    path.join(dir, 'index.js'),
     beautify(
       `// Automatically generated (Vsevolod Volkov ${currentYear}©)
-      const createClient = require('./client');
-
-      ${Object.entries(apis).map(([name, data]) => {
-        // Note: data.versions[version] points to a list of methods
-        return Object.keys(data.versions)
-          .filter(version => data.versions[version].length > 0)
-          .sort()
-          .map(version => version.replace(/\.0$/, '').replace(/\./g, '_'))
-          .map(version => {
-            return `const ${name}_${version} = require('./apis/${name}_${version}');`;
-          }).join('\n');
-      }).join('')}
+      const createClient = require('${runtime}/client');
+      const { SessionPool, MemorySessionStore, FileSessionStore } = require('${runtime}/sessions');
+      const errors = require('${runtime}/errors');
+      const { createLoggingPlugin, createTimingPlugin } = require('${runtime}/plugins');
+      const { MemoryCacheStore } = require('${runtime}/cache');
+      const { BatchLoader } = require('${runtime}/batch');
+      const { EventPoller, MemoryCheckpointStore, FileCheckpointStore } = require('${runtime}/events');
+      const { createCookieAuth, createApiKeyAuth, createOAuth2Auth } = require('${runtime}/auth');
+      const { MultipartBody } = require('${runtime}/multipart');
+      const introspect = require('${runtime}/introspect');
+
+      // Manifest of the built API (descriptions of the methods for introspection)
+      const MANIFEST_PATH = require('path').join(__dirname, '${MANIFEST_FILE}');
+
+      // Names of all APIs (for preloading)
+      const API_NAMES = [${Object.keys(apis).map(name => `'${name}'`).join(', ')}];
+
+      /**
+       * Creates an object whose properties create API classes on first access,
+       * so that only the used APIs are loaded
+       * @param  {AxiosInstance} client  Client for web requests
+       * @param  {Object}        loaders Functions that load API classes ({ 'v1': () => require(...) })
+       * @param  {Object}        options Client options (passed to API classes)
+       * @return {Object}                API versions
+       */
+      function defineLazyVersions(client, loaders, options) {
+        const versions = {};
+        for (let [version, load] of Object.entries(loaders)) {
+          Object.defineProperty(versions, version, {
+            configurable: true,
+            enumerable: true,
+            get() {
+              const ApiClass = load();
+              const api = new ApiClass(client, options);
+              // Next time, without getter
+              Object.defineProperty(versions, version, { value: api, enumerable: true });
+              return api;
+            }
+          });
+        }
+        return versions;
+      }
 
       /** General class for working with Roblox API */
       class RbxApiClient {
@@ -203,38 +522,110 @@ async function createIndex(apis) {
          * [constructor description]
          * @param {string}                     token          Authorization token (.ROBLOSECURITY)
          * @param {function():Promise<string>} [refreshToken] Callback function that will be called in case of token expiration
+         * @param {Object}                     [options]      Client options (retry policy, limits, etc)
          */
-        constructor(token, refreshToken) {
+        constructor(token, refreshToken, options) {
           /** Configured Axios web client for direct API calls */
-          this.direct = createClient(token, refreshToken);
-
-          /* APIs */
+          this.direct = createClient(token, refreshToken, options);
+          /** Loaders that coalesce single-item lookups into the batch endpoints */
+          this.batch = this.direct.batch;
+          /** Events of the account activity, polled while they have handlers (events.on('chatMessage', ...)) */
+          this.events = this.direct.events;
+          /** Manifest used by describe, search and call (the one next to this index by default) */
+          this.manifestPath = options && options.manifest ? require('path').resolve(options.manifest) : MANIFEST_PATH;
+
+          /* APIs (API classes are loaded on first access) */
           ${Object.entries(apis).map(([name, data]) => {
             const vers = Object.keys(data.versions)
-              // Note: data.versions[version] points to a list of methods
-              .filter(version => data.versions[version].length > 0)
+              // Note: data.versions[version].methods points to a list of methods
+              .filter(version => data.versions[version].methods.length > 0)
               .sort()
               .map(version => {
                 version = version.replace(/\.0$/, '');
-                return `'${version}': new ${name}_${version.replace(/\./g, '_')}(this.direct)`;
+                return `'${version}': () => require('./apis/${name}_${version}')`;
               }).join(',\n');
 
             return `/** ${data.meta.name}: ${data.meta.description} */
-            this.${name} = {
+            this.${name} = defineLazyVersions(this.direct, {
               ${vers.length ? vers : '/* No documentation available */'}
-            };`;
+            }, options || {});`;
           }).join('\n\n')}
+
+          if (options && options.preload) {
+            this.preload(options.preload === true ? API_NAMES : options.preload);
+          }
+        }
+
+        /**
+         * Loads API classes in advance (instead of on first access)
+         * @param {Array<string>} [names] API names (all by default)
+         */
+        preload(names = API_NAMES) {
+          for (let name of names) {
+            if (API_NAMES.indexOf(name) === -1) {
+              throw new Error(\`Unknown API "\${name}"\`);
+            }
+            for (let version of Object.keys(this[name])) {
+              // Access creates the class
+              this[name][version];
+            }
+          }
+        }
+
+        /**
+         * Adds a plugin (beforeRequest, afterResponse, onError hooks) to the end of the list
+         * @param  {Object}       plugin Plugin
+         * @return {RbxApiClient}        The client itself
+         */
+        use(plugin) {
+          this.direct.use(plugin);
+          return this;
+        }
+
+        /**
+         * Describes the method: address, verb, parameters (names, locations, types), deprecation
+         * @param  {string} name Method name or alias (Chat.v2.SendMessage)
+         * @return {Object}      Description
+         */
+        describe(name) {
+          return introspect.describe(introspect.readManifest(this.manifestPath), name);
+        }
+
+        /**
+         * Finds the methods whose name, alias, path or description contain all words of the query
+         * @param  {string}        query Query (thumbnail, "users GET", etc)
+         * @return {Array<Object>}       Descriptions of the methods
+         */
+        search(query) {
+          return introspect.search(introspect.readManifest(this.manifestPath), query);
+        }
+
+        /**
+         * Calls the method by its name
+         * @param  {string} name      Method name or alias (Chat.v2.SendMessage)
+         * @param  {Object} [params]  Method parameters
+         * @param  {Object} [options] Call options (pagination options of Iterate... methods, upload options of methods with files)
+         * @return {*}                Result of the method (an iterator for Iterate... methods)
+         */
+        call(name, params, options) {
+          return introspect.call(this, introspect.readManifest(this.manifestPath), name, params, options);
         }
       }
 
       /**
        * class factory for RbxApiClient
-       * @param {string} token                              Authorization token (.ROBLOSECURITY)
+       * @param {string} token                              Authorization token (.ROBLOSECURITY, API key or OAuth2 access token)
        * @param {function():Promise<string>} [refreshToken] Callback function that will be called in case of token expiration
+       * @param {Object} [options]                          Client options (retry policy, limits, auth strategy, etc)
        * @return {RbxApiClient}                             Will return an instance of the RbxApiClient class
        */
-      const createRBXClient = async (token, refreshToken) => {
-        const RBXClient = new RbxApiClient(token, refreshToken);
+      const createRBXClient = async (token, refreshToken, options) => {
+        const RBXClient = new RbxApiClient(token, refreshToken, options);
+        // A pool has many accounts, there is no single user.
+        // API keys and OAuth2 tokens are not accepted by the endpoint of the authenticated user
+        if (options && (options.sessions || (options.auth && options.auth.name !== 'cookie'))) {
+          return RBXClient;
+        }
         try {
           // Definition of ID and nickname.
           // It will also force you to re-login in case of incorrect tokens
@@ -243,7 +634,7 @@ async function createIndex(apis) {
           RBXClient.userName = userInfo.name;
         } catch (err) {
           // refreshToken will be called automatically in case of 401 error
-          if (!err.status !== 401) {
+          if (!(err instanceof errors.RbxAuthError)) {
             throw err;
           }
         }
@@ -251,9 +642,606 @@ async function createIndex(apis) {
       };
 
       module.exports = createRBXClient;
+      module.exports.RbxApiClient = RbxApiClient;
+      module.exports.SessionPool = SessionPool;
+      module.exports.MemorySessionStore = MemorySessionStore;
+      module.exports.FileSessionStore = FileSessionStore;
+      module.exports.RbxApiError = errors.RbxApiError;
+      module.exports.RbxAuthError = errors.RbxAuthError;
+      module.exports.RbxRateLimitError = errors.RbxRateLimitError;
+      module.exports.RbxCsrfError = errors.RbxCsrfError;
+      module.exports.RbxChallengeError = errors.RbxChallengeError;
+      module.exports.RbxValidationError = errors.RbxValidationError;
+      module.exports.RbxNotFoundError = errors.RbxNotFoundError;
+      module.exports.RbxAbortError = errors.RbxAbortError;
+      module.exports.createLoggingPlugin = createLoggingPlugin;
+      module.exports.createTimingPlugin = createTimingPlugin;
+      module.exports.MemoryCacheStore = MemoryCacheStore;
+      module.exports.BatchLoader = BatchLoader;
+      module.exports.createCookieAuth = createCookieAuth;
+      module.exports.createApiKeyAuth = createApiKeyAuth;
+      module.exports.createOAuth2Auth = createOAuth2Auth;
+      module.exports.MultipartBody = MultipartBody;
+      module.exports.EventPoller = EventPoller;
+      module.exports.MemoryCheckpointStore = MemoryCheckpointStore;
+      module.exports.FileCheckpointStore = FileCheckpointStore;
       `, { indent_size: 2 }
     )
-  )
+  );
+
+  // Declarations of the API classes used by the main class
+  const apiDeclarations = Object.entries(apis).map(([name, data]) => {
+    const versions = Object.keys(data.versions)
+      .filter(version => data.versions[version].methods.length > 0)
+      .sort();
+    return { name, meta: data.meta, versions };
+  });
+
+  fs.writeFileSync(
+    path.join(dir, 'index.d.ts'),
+    `// Automatically generated (Vsevolod Volkov ${currentYear}©)
+import { AxiosInstance } from 'axios';
+import createClient = require('${runtime}/client');
+import sessions = require('${runtime}/sessions');
+import errors = require('${runtime}/errors');
+import plugins = require('${runtime}/plugins');
+import cache = require('${runtime}/cache');
+import batch = require('${runtime}/batch');
+import events = require('${runtime}/events');
+import auth = require('${runtime}/auth');
+import introspect = require('${runtime}/introspect');
+import multipart = require('${runtime}/multipart');
+import callOptions = require('${runtime}/call-options');
+import paginate = require('${runtime}/paginate');
+${apiDeclarations.map(({ name, versions }) => {
+  return versions.map(version => {
+    return `import ${buildClassName(name, version)} = require('./apis/${name}_${version.replace(/\.0$/, '')}');\n`;
+  }).join('');
+}).join('')}
+/**
+ * class factory for RbxApiClient
+ * @param token          Authorization token (.ROBLOSECURITY, API key or OAuth2 access token)
+ * @param [refreshToken] Callback function that will be called in case of token expiration
+ * @param [options]      Client options (retry policy, limits, auth strategy, etc)
+ * @return               Will return an instance of the RbxApiClient class
+ */
+declare function createRBXClient(
+  token: string | null,
+  refreshToken?: (() => Promise<string>) | null,
+  options?: createClient.ClientOptions
+): Promise<createRBXClient.RbxApiClient>;
+
+declare namespace createRBXClient {
+  type ClientOptions = createClient.ClientOptions;
+  /** General class for working with Roblox API (without the authorized user lookup of the factory) */
+  const RbxApiClient: {
+    new (
+      token: string | null,
+      refreshToken?: (() => Promise<string>) | null,
+      options?: ClientOptions
+    ): RbxApiClient;
+  };
+  const SessionPool: typeof sessions.SessionPool;
+  type SessionPool = sessions.SessionPool;
+  const MemorySessionStore: typeof sessions.MemorySessionStore;
+  type MemorySessionStore = sessions.MemorySessionStore;
+  const FileSessionStore: typeof sessions.FileSessionStore;
+  type FileSessionStore = sessions.FileSessionStore;
+  const RbxApiError: typeof errors.RbxApiError;
+  type RbxApiError<E = errors.RobloxErrorItem> = errors.RbxApiError<E>;
+  const RbxAuthError: typeof errors.RbxAuthError;
+  type RbxAuthError = errors.RbxAuthError;
+  const RbxRateLimitError: typeof errors.RbxRateLimitError;
+  type RbxRateLimitError = errors.RbxRateLimitError;
+  const RbxCsrfError: typeof errors.RbxCsrfError;
+  type RbxCsrfError = errors.RbxCsrfError;
+  const RbxChallengeError: typeof errors.RbxChallengeError;
+  type RbxChallengeError = errors.RbxChallengeError;
+  const RbxValidationError: typeof errors.RbxValidationError;
+  type RbxValidationError = errors.RbxValidationError;
+  const RbxNotFoundError: typeof errors.RbxNotFoundError;
+  type RbxNotFoundError = errors.RbxNotFoundError;
+  const RbxAbortError: typeof errors.RbxAbortError;
+  type RbxAbortError = errors.RbxAbortError;
+  type Plugin = plugins.Plugin;
+  type PluginContext = plugins.PluginContext;
+  type MethodDescription = introspect.MethodDescription;
+  /** Structured logging of requests */
+  const createLoggingPlugin: typeof plugins.createLoggingPlugin;
+  /** Timing metrics of requests per endpoint (API method, or address for direct requests) */
+  const createTimingPlugin: typeof plugins.createTimingPlugin;
+  const MemoryCacheStore: typeof cache.MemoryCacheStore;
+  type MemoryCacheStore = cache.MemoryCacheStore;
+  const BatchLoader: typeof batch.BatchLoader;
+  type BatchLoader<K = any, V = any> = batch.BatchLoader<K, V>;
+  type AuthStrategy = auth.AuthStrategy;
+  type OAuth2Options = auth.OAuth2Options;
+  /** Authorization with the .ROBLOSECURITY cookie (the default strategy) */
+  const createCookieAuth: typeof auth.createCookieAuth;
+  /** Authorization with an Open Cloud API key */
+  const createApiKeyAuth: typeof auth.createApiKeyAuth;
+  /** Authorization with an OAuth2 access token, refreshed before its expiry and on 401 */
+  const createOAuth2Auth: typeof auth.createOAuth2Auth;
+  /** Multipart body of direct requests (files are streamed) */
+  const MultipartBody: typeof multipart.MultipartBody;
+  type MultipartBody = multipart.MultipartBody;
+  type UploadFile = multipart.UploadFile;
+  type UploadOptions = multipart.UploadOptions;
+  type CallOptions = callOptions.CallOptions;
+  type RawResponse<T = any> = callOptions.RawResponse<T>;
+  /** Polling of the account activity (chatMessage, friendRequest, groupJoinRequest, tradeReceived) */
+  const EventPoller: typeof events.EventPoller;
+  type EventPoller = events.EventPoller;
+  type EventOptions = events.EventOptions;
+  type CheckpointStore = events.CheckpointStore;
+  const MemoryCheckpointStore: typeof events.MemoryCheckpointStore;
+  type MemoryCheckpointStore = events.MemoryCheckpointStore;
+  const FileCheckpointStore: typeof events.FileCheckpointStore;
+  type FileCheckpointStore = events.FileCheckpointStore;
+
+  /** General class for working with Roblox API */
+  interface RbxApiClient {
+    /** Configured Axios web client for direct API calls */
+    direct: createClient.RbxAxiosInstance;
+    /** Loaders that coalesce single-item lookups into the batch endpoints */
+    batch: batch.BatchLoaders;
+    /** Events of the account activity, polled while they have handlers */
+    events: events.EventPoller;
+    /** Manifest used by describe, search and call */
+    manifestPath: string;
+    /** ID of the authorized user */
+    userID?: number;
+    /** Name of the authorized user */
+    userName?: string;
+
+    /**
+     * Loads API classes in advance (instead of on first access)
+     * @param [names] API names (all by default)
+     */
+    preload(names?: Array<string>): void;
+
+    /** Adds a plugin (beforeRequest, afterResponse, onError hooks) to the end of the list */
+    use(plugin: plugins.Plugin): this;
+
+    /** Describes the method (Chat.v2.SendMessage or alias): address, verb, parameters, deprecation */
+    describe(name: string): introspect.MethodDescription;
+
+    /** Finds the methods whose name, alias, path or description contain all words of the query */
+    search(query: string): Array<introspect.MethodDescription>;
+
+    /** Calls the method by its name (an iterator for Iterate... methods) */
+    call(
+      name: string,
+      params?: { [name: string]: any },
+      options?: callOptions.CallOptions | paginate.PaginationOptions | multipart.UploadOptions
+    ): any;
+
+${indent(apiDeclarations.map(({ name, meta, versions }) => {
+  return `/** ${escapeComment(meta.name)}: ${escapeComment(meta.description)} */\n` +
+    `${name}: {\n${indent(versions.map(version => {
+      return `'${version.replace(/\.0$/, '')}': ${buildClassName(name, version)};`;
+    }).join('\n'))}\n};`;
+}).join('\n\n'), 2)}
+  }
+}
+
+export = createRBXClient;
+`
+  );
+}
+
+// ---- Document formats
+// Swagger 2.0 and OpenAPI 3 documents are converted to one model (the one of Swagger 2.0, which Roblox
+// has been publishing from the start): { definitions, paths: { [path]: { [verb]: operation } } },
+// where operations have "parameters" (body and formData ones included) and "responses" with "schema"
+
+// HTTP methods of the path items (other keys are path-level parameters, descriptions, etc)
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Follows local links ($ref: '#/components/parameters/...', etc) to their nodes
+ * @param  {Object} doc  Document
+ * @param  {Object} node Node or link
+ * @return {Object}      Node content (an empty object if the link leads nowhere)
+ */
+function resolveRef(doc, node) {
+  const seen = [];
+  while (node && node.$ref && seen.indexOf(node.$ref) === -1) {
+    seen.push(node.$ref);
+    node = node.$ref.replace(/^#\/?/, '').split('/')
+      // JSON pointer escaping
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((parent, key) => parent && parent[key], doc);
+  }
+  return node || {};
+}
+
+/**
+ * Selects the content of the request or response body
+ * @param  {Object} content Contents by media type ({ 'application/json': { schema } })
+ * @return {Object}         { type, schema } (null if there is no content)
+ */
+function selectMediaType(content) {
+  const types = Object.keys(content || {});
+  // JSON is preferred, then forms (they are sent as form data)
+  const type = types.find(type => /json/i.test(type)) ||
+    types.find(type => /^multipart\/form-data|^application\/x-www-form-urlencoded/i.test(type)) ||
+    types[0];
+  return type ? { type, schema: content[type].schema || null } : null;
+}
+
+/**
+ * Converts the parameter of OpenAPI 3 to the one of Swagger 2.0 (the schema fields are on the parameter itself)
+ * @param  {Object} doc   Document
+ * @param  {Object} param Parameter
+ * @return {Object}       Parameter
+ */
+function convertParameter(doc, param) {
+  const { schema, content, style, explode, example, examples, ...rest } = param;
+  const media = schema ? { schema } : selectMediaType(content);
+  return { ...resolveRef(doc, media && media.schema), ...rest };
+}
+
+/**
+ * Converts the request body of OpenAPI 3 to body or formData parameters
+ * @param  {Object}        doc       Document
+ * @param  {Object}        operation Operation
+ * @return {Array<Object>}           Parameters
+ */
+function convertRequestBody(doc, operation) {
+  const requestBody = resolveRef(doc, operation.requestBody);
+  const media = selectMediaType(requestBody.content);
+  if (!media) return [];
+
+  if (/^multipart\/form-data|^application\/x-www-form-urlencoded/i.test(media.type)) {
+    // Each field of the form is a parameter, as in Swagger 2.0
+    const schema = resolveRef(doc, media.schema);
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => {
+      const { description, ...fieldSchema } = resolveRef(doc, property);
+      return {
+        ...fieldSchema,
+        // Binary fields are files
+        ...(fieldSchema.format === 'binary' ? { type: 'file' } : {}),
+        name,
+        in: 'formData',
+        description: description || '',
+        required: required.indexOf(name) !== -1
+      };
+    });
+  }
+
+  return [{
+    name: operation['x-codegen-request-body-name'] || 'body',
+    in: 'body',
+    description: requestBody.description || '',
+    required: Boolean(requestBody.required),
+    schema: media.schema || {}
+  }];
+}
+
+/**
+ * Converts the operation to the model (path-level parameters are added, links to parameters are followed)
+ * @param  {Object}        doc        Document
+ * @param  {Object}        operation  Operation
+ * @param  {Array<Object>} pathParams Parameters of the path item
+ * @param  {Boolean}       openapi    Is the document of OpenAPI 3
+ * @return {Object}                   Operation
+ */
+function convertOperation(doc, operation, pathParams, openapi) {
+  const params = {};
+  for (let param of [...pathParams, ...(operation.parameters || [])]) {
+    const resolved = resolveRef(doc, param);
+    // Parameters of the operation replace the ones of the path with the same name and location
+    params[`${resolved.in} ${resolved.name}`] = openapi ? convertParameter(doc, resolved) : resolved;
+  }
+  // Cookies are set by the client itself
+  let parameters = Object.values(params).filter(param => param.in !== 'cookie');
+  if (!openapi) {
+    return { ...operation, parameters };
+  }
+
+  parameters = [...parameters, ...convertRequestBody(doc, operation)];
+  const responses = {};
+  for (let [code, response] of Object.entries(operation.responses || {})) {
+    const resolved = resolveRef(doc, response);
+    const media = selectMediaType(resolved.content);
+    responses[code] = { description: resolved.description || '', ...(media && media.schema ? { schema: media.schema } : {}) };
+  }
+
+  // Media type of the body (forms are sent as multipart or urlencoded)
+  const media = selectMediaType(resolveRef(doc, operation.requestBody).content);
+  const { requestBody, ...rest } = operation;
+  return {
+    ...rest,
+    summary: operation.summary || operation.description,
+    ...(media ? { consumes: [media.type] } : {}),
+    parameters,
+    responses
+  };
+}
+
+/**
+ * Converts the document to the model (see "Document formats")
+ * @param  {Object} doc Document (Swagger 2.0 or OpenAPI 3)
+ * @return {Object}     { definitions, paths }
+ */
+function normalizeDocument(doc) {
+  const openapi = /^3\./.test(doc.openapi || '');
+  if (!openapi && doc.swagger !== '2.0') {
+    throw new Error(`Unsupported document format: ${doc.openapi ? `OpenAPI ${doc.openapi}` : 'neither Swagger 2.0 nor OpenAPI 3'}`);
+  }
+
+  const paths = {};
+  for (let [path, pathItem] of Object.entries(doc.paths || {})) {
+    const item = resolveRef(doc, pathItem);
+    paths[path] = {};
+    for (let verb of Object.keys(item).filter(key => HTTP_METHODS.indexOf(key) !== -1)) {
+      paths[path][verb] = convertOperation(doc, item[verb], item.parameters || [], openapi);
+    }
+  }
+
+  return {
+    definitions: (openapi ? (doc.components || {}).schemas : doc.definitions) || {},
+    paths
+  };
+}
+
+// ---- Functions for generating types
+
+/**
+ * Escapes the text so that it does not break the documentation comment
+ * @param  {string} text Text
+ * @return {string}      Safe text
+ */
+function escapeComment(text) {
+  return String(text || '').replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Indents each line of the text
+ * @param  {string} text  Text
+ * @param  {number} level Indent level (2 spaces each)
+ * @return {string}       Indented text
+ */
+function indent(text, level = 1) {
+  const spaces = '  '.repeat(level);
+  return text.split('\n').map(line => line ? spaces + line : line).join('\n');
+}
+
+/**
+ * Returns the property name, quoted if it is not a valid identifier
+ * @param  {string} name Property name
+ * @return {string}      Property key
+ */
+function buildPropertyKey(name) {
+  return /^[a-zA-Z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+}
+
+/**
+ * Generates a short type name for the definition
+ * (Roblox.Web.WebAPI.Models.ApiPageResponse[Roblox.Groups.Api.UserModel] -> ApiPageResponse_UserModel)
+ * @param  {string} schemaName Definition name
+ * @return {string}            Type name
+ */
+function buildTypeName(schemaName) {
+  const name = schemaName
+    // Only the last part of each full name is left
+    .replace(/[^\[\],]+/g, part => part.split('.').pop())
+    .replace(/[^\w$]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Collects information about the types of the document
+ * @param  {Object} schemas   Document schemas (definitions)
+ * @param  {string} namespace Name of the class in which the types will be declared
+ * @return {Object}           Document types
+ */
+function buildTypeContext(schemas, namespace) {
+  const names = {};
+  const usedNames = {};
+
+  for (let schemaName of Object.keys(schemas || {}).sort()) {
+    let name = buildTypeName(schemaName);
+    // If the short name is already taken, use the full one
+    if (usedNames[name]) {
+      name = schemaName.replace(/[^\w$]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+    usedNames[name] = true;
+    names[schemaName] = name;
+  }
+
+  return { schemas: schemas || {}, names, namespace };
+}
+
+/**
+ * Converts a schema node to a type expression.
+ * TypeScript syntax is used, which is also understood in JSDoc
+ * @param  {Object} node      Schema node
+ * @param  {Object} types     Document types (see buildTypeContext)
+ * @param  {string} refPrefix Prefix for links to definitions ("Chat_v2.", etc)
+ * @return {string}           Type expression
+ */
+function buildType(node, types, refPrefix) {
+  if (!node) return 'any';
+
+  // OpenAPI 3 marks the nullable values in the schema itself
+  if (node.nullable) {
+    const { nullable, ...rest } = node;
+    const type = buildType(rest, types, refPrefix);
+    return type === 'any' ? type : `${type} | null`;
+  }
+
+  if (node.$ref) {
+    const name = types.names[getSchemaName(node.$ref)];
+    return name ? refPrefix + name : 'any';
+  }
+
+  // Compositions: one of the schemas (union), all of them (intersection)
+  const variants = node.oneOf || node.anyOf;
+  if (variants && variants.length) {
+    return `(${variants.map(variant => buildType(variant, types, refPrefix)).join(' | ')})`;
+  }
+  if (node.allOf && node.allOf.length) {
+    const { allOf, ...own } = node;
+    const parts = [...allOf, ...(own.properties ? [own] : [])];
+    return parts.length > 1
+      ? `(${parts.map(part => buildType(part, types, refPrefix)).join(' & ')})`
+      : buildType(parts[0], types, refPrefix);
+  }
+
+  if (node.enum && node.enum.length) {
+    return `(${node.enum.map(value => JSON.stringify(value)).join(' | ')})`;
+  }
+
+  switch (node.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'string':
+      return 'string';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return `Array<${buildType(node.items, types, refPrefix)}>`;
+    case 'object':
+    case undefined:
+      if (node.properties) {
+        const properties = Object.entries(node.properties).map(([name, propInfo]) => {
+          return `${buildPropertyKey(name)}${isRequiredProperty(node, name) ? '' : '?'}: ` +
+            buildType(propInfo, types, refPrefix);
+        });
+        return properties.length ? `{ ${properties.join('; ')} }` : 'Record<string, any>';
+      }
+      if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        return `Record<string, ${buildType(node.additionalProperties, types, refPrefix)}>`;
+      }
+      return node.type ? 'Record<string, any>' : 'any';
+    default:
+      // file, etc
+      return 'any';
+  }
+}
+
+/**
+ * Checks if the property of the object is required
+ * @param  {Object}  node Object schema node
+ * @param  {string}  name Property name
+ * @return {Boolean}      Is the property required
+ */
+function isRequiredProperty(node, name) {
+  // Roblox usually does not specify the list of required properties,
+  // but always returns all of them. In this case, everything is considered required
+  return Array.isArray(node.required) ? node.required.indexOf(name) !== -1 : true;
+}
+
+/**
+ * Generating a declaration (TypeScript) for the document definition
+ * @param  {string} schemaName Definition name
+ * @param  {Object} types      Document types (see buildTypeContext)
+ * @return {string}            Interface or type alias declaration
+ */
+function buildTypeDeclaration(schemaName, types) {
+  const schema = types.schemas[schemaName] || {};
+  const name = types.names[schemaName];
+  const doc = schema.description ? `/** ${escapeComment(schema.description)} */\n` : '';
+
+  if (!schema.$ref && schema.properties) {
+    const properties = Object.entries(schema.properties).map(([propName, propInfo]) => {
+      const propDoc = propInfo.description ? `/** ${escapeComment(propInfo.description)} */\n` : '';
+      const optional = isRequiredProperty(schema, propName) ? '' : '?';
+      return `${propDoc}${buildPropertyKey(propName)}${optional}: ${buildType(propInfo, types, '')};`;
+    });
+    return `${doc}interface ${name} {\n${indent(properties.join('\n'))}\n}`;
+  }
+
+  return `${doc}type ${name} = ${buildType(schema, types, '')};`;
+}
+
+/**
+ * Generating a JSDoc type definition for the document definition
+ * @param  {string} schemaName Definition name
+ * @param  {Object} types      Document types (see buildTypeContext)
+ * @return {string}            Type definition comment
+ */
+function buildTypeDefinition(schemaName, types) {
+  const schema = types.schemas[schemaName] || {};
+  const name = types.names[schemaName];
+  const description = schema.description ? `* ${escapeComment(schema.description)}\n` : '';
+
+  if (!schema.$ref && schema.properties) {
+    const properties = Object.entries(schema.properties).map(([propName, propInfo]) => {
+      const key = isRequiredProperty(schema, propName) ? propName : `[${propName}]`;
+      return `* @property {${buildType(propInfo, types, '')}} ${key} ${escapeComment(propInfo.description)}`;
+    });
+    return `/**\n${description}* @typedef {Object} ${name}\n${properties.join('\n')}\n*/`;
+  }
+
+  return `/**\n${description}* @typedef {${buildType(schema, types, '')}} ${name}\n*/`;
+}
+
+/**
+ * Returns the schema of the successful response of the method
+ * @param  {Object} methodInfo Method documentation node
+ * @return {Object}            Response schema (null if not documented)
+ */
+function getResponseSchema(methodInfo) {
+  const responses = methodInfo.responses || {};
+  // 200 is preferred, but some methods only document 201, 204, etc
+  const status = Object.keys(responses).filter(code => /^2\d\d$/.test(code)).sort()[0];
+  return status && responses[status].schema ? responses[status].schema : null;
+}
+
+/**
+ * Generating a declaration (TypeScript) for the method and the interface of its parameters
+ * @param  {string}  methodName  Method name
+ * @param  {string}  description Method description
+ * @param  {Boolean} deprecated  Is the method deprecated
+ * @param  {Array}   params      Parameters
+ * @param  {Object}  response    Schema of the successful response (if known)
+ * @param  {Object}  types       Document types (see buildTypeContext)
+ * @param  {Boolean} [upload]    Does the method upload a multipart body (options with the progress callback)
+ * @return {Object}              Declarations of the method (with the raw overload) and parameters (if any)
+ */
+function buildMethodDeclaration(methodName, description, deprecated, params, response, types, upload = false) {
+  const doc = deprecated
+    ? `/**\n * ${escapeComment(description) || 'No description'}\n * @deprecated\n */`
+    : `/** ${escapeComment(description) || 'No description'} */`;
+  const result = response ? buildType(response, types, `${types.namespace}.`) : 'any';
+  const options = upload ? 'multipart.UploadOptions' : 'callOptions.CallOptions';
+  /**
+   * Builds the signatures of the method (raw calls return the status and headers too)
+   * @param  {string}  paramsType Type of the parameters object
+   * @param  {Boolean} optional   Can the parameters object be omitted
+   * @return {string}             Signatures
+   */
+  const buildSignatures = (paramsType, optional) => [
+    `${methodName}(params${optional ? '?' : ''}: ${paramsType}, options?: ${options} & { raw?: false }): Promise<${result}>;`,
+    `${methodName}(params: ${paramsType}${optional ? ' | undefined' : ''}, options: ${options} & { raw: true }): ` +
+      `Promise<callOptions.RawResponse<${result}>>;`
+  ].join('\n');
+
+  if (!params.length) {
+    return { method: `${doc}\n${buildSignatures('Record<string, never> | null', true)}`, params: null };
+  }
+
+  const paramsName = `${methodName}Params`;
+  const properties = params.map(param => {
+    const paramDoc = param.description ? `/** ${escapeComment(param.description)} */\n` : '';
+    const type = (isFileParam(param) ? 'multipart.UploadFile' : buildType(param.schema, types, '')) +
+      (param.nullable ? ' | null' : '');
+    return `${paramDoc}${buildPropertyKey(param.name)}${param.required ? '' : '?'}: ${type};`;
+  });
+  // If all parameters are optional, then the object itself can be omitted
+  const optional = !params.some(param => param.required);
+
+  return {
+    method: `${doc}\n${buildSignatures(`${types.namespace}.${paramsName}`, optional)}`,
+    params: `/** Parameters of the ${methodName} method */\n` +
+      `interface ${paramsName} {\n${indent(properties.join('\n'))}\n}`
+  };
 }
 
 // ---- Functions for generating methods
@@ -265,11 +1253,35 @@ async function createIndex(apis) {
  * @return {Object}         Node content
  */
 function extractSchemaNode(docNode, schemas) {
-  if (docNode.$ref) {
-    const schemaName = docNode.$ref.match(/#\/definitions\/(.+)/)[1];
-    return schemas[schemaName];
+  // Definitions can also be links to other definitions (ApiArrayRequest[...], etc)
+  while (docNode && docNode.$ref) {
+    docNode = schemas[getSchemaName(docNode.$ref)];
+  }
+  if (docNode && docNode.allOf) {
+    // The parts of the composition are merged into one object
+    const { allOf, ...own } = docNode;
+    return [...allOf, own].map(part => extractSchemaNode(part, schemas)).reduce((result, part) => {
+      const merged = { ...result, ...part };
+      if (result.properties && part.properties) {
+        merged.properties = { ...result.properties, ...part.properties };
+      }
+      if (Array.isArray(result.required) && Array.isArray(part.required)) {
+        merged.required = [...result.required, ...part.required];
+      }
+      return merged;
+    }, {});
   }
-  return docNode;
+  return docNode || {};
+}
+
+/**
+ * Returns the name of the definition the link points to
+ * @param  {string} ref Link (#/definitions/... or #/components/schemas/...)
+ * @return {string}     Definition name
+ */
+function getSchemaName(ref) {
+  const match = ref.match(/#\/(?:definitions|components\/schemas)\/(.+)/);
+  return match ? match[1] : null;
 }
 
 /**
@@ -301,55 +1313,39 @@ function buildParamsInfo(path, methodInfo, schemas) {
       };
 
       if (schema.type === 'object') {
-        for (let [name, propInfo] of Object.entries(schema.properties)) {
-          let paramType = propInfo.type;
-
-          if (paramType === 'array') {
-            const items = extractSchemaNode(propInfo.items, schemas);
-            paramType = `array<${items.type}>`;
-          }
-
+        for (let [name, propInfo] of Object.entries(schema.properties || {})) {
           isMapped = true;
           params.push({
             name: name.split(/\-|\./)
                       .map((part, index) => index ? part.toNormalCase() : part)
                       .join(''),
-            type: propInfo.type,
+            schema: propInfo,
             description: propInfo.description || '',
             out: out,
-            required: true
+            required: true,
+            // Roblox does not specify which properties are really required,
+            // so null is also allowed
+            nullable: true
           });
         }
       }
     } else {
       for (let param of methodInfo.parameters) {
-        let paramType;
         const out = {
           param: param.name,
           location: pathParams[param.name] ? 'path' : param.in
         };
 
-        if (param.schema) {
-          const schema = extractSchemaNode(param.schema, schemas);
-          if (schema.type === 'array') {
-            const items = extractSchemaNode(schema.items, schemas);
-            paramType = `array<${items.type}>`;
-          } else {
-            paramType = schema.type;
-          }
-        } else {
-          paramType = param.type;
-        }
-
         params.push({
           name: param.name.split(/\-|\./)
                           .map((part, index) => index ? part.toNormalCase() : part)
                           .join(''),
-          type: paramType,
+          // Body parameters have a schema, the rest are described by themselves
+          schema: param.schema || param,
           description: param.description || '',
           out: out,
-          enum: param.enum ? param.enum.map(value => `'${value}'`) : null,
-          required: Boolean(param.required)
+          required: Boolean(param.required),
+          nullable: false
         });
       }
     }
@@ -363,24 +1359,27 @@ function buildParamsInfo(path, methodInfo, schemas) {
  * @param  {string}  description Method description
  * @param  {Boolean} deprecated  Is the method deprecated
  * @param  {Array}   params      Parameters
+ * @param  {Object}  response    Schema of the successful response (if known)
+ * @param  {Object}  types       Document types (see buildTypeContext)
+ * @param  {Boolean} [upload]    Does the method upload a multipart body (options with the progress callback)
  * @return {string}              Documentation
  */
-function buildMethodDoc(description, deprecated, params) {
-  // If the method has parameters or is deprecated, then create a full version
-  if (params.length || deprecated) {
-    return [
-      `/** ${description || 'No description'}`,
-      deprecated ? '* @deprecated' : '',
-      ...params.map(param => {
-        const enumOrType = param.enum ? `(${param.enum.join('|')})` : param.type;
-        const name = param.required ? param.name : `[${param.name}]`;
-        return `* @param {${enumOrType}} ${name} ${param.description}`;
-      }),
-      '*/'
-    ].filter(Boolean).join('\n');
-  }
-  // If not, then just write down the description
-  return `/** ${description || 'No description'} */`;
+function buildMethodDoc(description, deprecated, params, response, types, upload = false) {
+  // All methods take the call options, so the full version is always created
+  return [
+    `/** ${description || 'No description'}`,
+    deprecated ? '* @deprecated' : '',
+    ...params.map(param => {
+      // Files can be Buffers, streams, paths or { data, filename, contentType }
+      const type = isFileParam(param) ? 'Buffer|stream.Readable|string|Object' : buildType(param.schema, types, '');
+      const name = param.required ? param.name : `[${param.name}]`;
+      return `* @param {${type}} ${name} ${param.description}`;
+    }),
+    '* @param {Object} [options] Call options (signal, timeout, headers, account, session, raw)',
+    upload ? '* @param {function} [options.onUploadProgress] Receives the progress ({ loaded, total, field })' : '',
+    `* @returns {Promise<${response ? buildType(response, types, '') : '*'}>} Server response ({ status, headers, data } if raw)`,
+    '*/'
+  ].filter(Boolean).join('\n');
 }
 
 /**
@@ -409,38 +1408,278 @@ function buildMethodName(apiClassName, path) {
   return name;
 }
 
+// ---- Method naming
+//
+// Names of the methods of a class are resolved together, so that they do not depend on the order of the paths:
+// 1. The name is built from the path (buildMethodName), with the verb prefix if the path has several verbs.
+// 2. Colliding names get the path parameters as a suffix (/v1/users/{userId} -> UsersByUserId).
+// 3. Still colliding names get the verb prefix (GetUsersByUserId).
+// 4. Remaining collisions are numbered in the order of "<path> <VERB>" (Users, Users2, ...).
+// Then the names from the config (methodNames) are applied.
+// Each method with an operationId in the document also gets an alias with this name (Users_GetUserById).
+
 /**
- * Builds a string of named parameters
- * @param  {string} methodName Method name
- * @param  {Array}  params     Parameters
- * @return {string}            A string of named parameters
+ * Builds the name of the alias from the operationId of the method
+ * @param  {string} operationId Swagger operationId (Users_GetUserById)
+ * @return {string}             Valid identifier
+ */
+function buildAliasName(operationId) {
+  const name = operationId.replace(/[^a-zA-Z0-9_$]/g, '_');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Resolves the names of all methods of the class (see the scheme above)
+ * @param  {string}        className   Class name for the config and the errors (Users.v1)
+ * @param  {Array<Object>} operations  Methods ({ key: 'GET /v1/users', verb, path, baseName, prefixed, operationId })
+ * @param  {Object}        methodNames Names of the methods from the config
+ * @return {Object}                    { names: { [key]: name }, aliases: { [key]: alias }, collisions: Array<Object> }
+ */
+function resolveMethodNames(className, operations, methodNames) {
+  const candidates = operation => {
+    const params = (operation.path.match(/\{(.+?)\}/g) || [])
+      .map(param => param.slice(1, -1).replace(/^./, char => char.toUpperCase()));
+    const suffixed = operation.baseName + (params.length ? `By${params.join('And')}` : '');
+    const verb = operation.verb.toNormalCase();
+    return [operation.baseName, suffixed, operation.prefixed ? suffixed : verb + suffixed];
+  };
+  const levels = new Map(operations.map(operation => [operation, 0]));
+  const nameOf = operation => candidates(operation)[levels.get(operation)];
+
+  const groupByName = () => {
+    const groups = new Map();
+    for (let operation of operations) {
+      const name = nameOf(operation);
+      groups.set(name, [...(groups.get(name) || []), operation]);
+    }
+    return groups;
+  };
+
+  // Steps 2 and 3: the whole group of colliding methods goes to the next level
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let group of groupByName().values()) {
+      if (group.length < 2) continue;
+      for (let operation of group) {
+        if (levels.get(operation) < 2) {
+          levels.set(operation, levels.get(operation) + 1);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  // Step 4: numbering
+  const names = {};
+  const collisions = [];
+  const taken = new Set(operations.map(nameOf));
+  const sortKey = operation => `${operation.path} ${operation.verb.toUpperCase()}`;
+  for (let [name, group] of groupByName()) {
+    group.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    group.forEach((operation, index) => {
+      let resolved = name;
+      for (let number = index + 1; index > 0 && taken.has(resolved); number++) {
+        resolved = `${name}${number}`;
+      }
+      taken.add(resolved);
+      names[operation.key] = resolved;
+    });
+  }
+
+  // Report of the methods whose name differs from the name of the path
+  const baseGroups = new Map();
+  for (let operation of operations) {
+    baseGroups.set(operation.baseName, [...(baseGroups.get(operation.baseName) || []), operation]);
+  }
+  for (let [name, group] of baseGroups) {
+    if (group.length > 1) {
+      collisions.push({ name, methods: group.map(operation => ({ key: operation.key, name: names[operation.key] })) });
+    }
+  }
+
+  // The config can rename the method by its resolved name or by its verb and path
+  const owners = {};
+  for (let operation of operations) {
+    const name = methodNames[`${className} ${operation.key}`] || methodNames[`${className}.${names[operation.key]}`];
+    if (name) names[operation.key] = name;
+  }
+  for (let operation of operations) {
+    const name = names[operation.key];
+    if (owners[name]) {
+      throw new Error(`Method name "${className}.${name}" is used by "${owners[name]}" and "${operation.key}" (see methodNames)`);
+    }
+    owners[name] = operation.key;
+  }
+
+  // Aliases that do not collide with the methods and each other
+  const aliases = {};
+  const aliasCounts = {};
+  for (let operation of operations) {
+    if (operation.operationId) {
+      const alias = buildAliasName(operation.operationId);
+      aliasCounts[alias] = (aliasCounts[alias] || 0) + 1;
+    }
+  }
+  for (let operation of operations) {
+    if (!operation.operationId) continue;
+    const alias = buildAliasName(operation.operationId);
+    if (alias === names[operation.key]) continue;
+    if (owners[alias] || aliasCounts[alias] > 1) {
+      collisions.push({ name: alias, alias: true, methods: [{ key: operation.key, name: names[operation.key] }] });
+      continue;
+    }
+    aliases[operation.key] = alias;
+  }
+
+  return { names, aliases, collisions };
+}
+
+/**
+ * Builds the alias of the method (it calls the method itself)
+ * @param  {string} alias       Alias name
+ * @param  {string} name        Method name
+ * @param  {string} declaration Declaration of the method (its name is replaced)
+ * @return {Object}             Class method (code and declaration)
+ */
+function buildAliasMethod(alias, name, declaration) {
+  // The same signatures (after the documentation comment) under another name
+  const signatures = declaration.slice(declaration.lastIndexOf(`*/\n${name}(`) + 3)
+    .split('\n')
+    .map(line => line.startsWith(`${name}(`) ? alias + line.slice(name.length) : line)
+    .join('\n');
+
+  return {
+    name: alias,
+    alias: true,
+    code: `/** Alias of the ${name} method (operationId) */
+    ${alias}(params, options) {
+      return this.${name}(params, options);
+    }`,
+    declaration: {
+      method: `/** Alias of the ${name} method (operationId) */\n${signatures}`,
+      params: null
+    }
+  };
+}
+
+/**
+ * Builds a compact schema of the value for validation at runtime (see dist/validate.js)
+ * @param  {Object} node    Schema node
+ * @param  {Object} schemas Document schemas
+ * @param  {number} depth   Nesting level (nested objects are checked up to MAX_VALIDATION_DEPTH)
+ * @return {Object}         Compact schema ({ type, format, enum, items, properties, requiredProperties })
+ */
+function buildValidationSchema(node, schemas, depth = 0) {
+  const schema = extractSchemaNode(node, schemas);
+  const result = {};
+  const type = schema.type || (schema.properties ? 'object' : null);
+
+  if (type) result.type = type;
+  if (schema.format) result.format = schema.format;
+  if (schema.enum) result.enum = schema.enum;
+
+  if (type === 'array' && schema.items) {
+    result.items = buildValidationSchema(schema.items, schemas, depth + 1);
+  } else if (type === 'object' && schema.properties && depth < MAX_VALIDATION_DEPTH) {
+    result.properties = {};
+    for (let [name, property] of Object.entries(schema.properties)) {
+      result.properties[name] = buildValidationSchema(property, schemas, depth + 1);
+    }
+    // Only the explicitly listed properties are checked for presence
+    if (Array.isArray(schema.required)) {
+      result.requiredProperties = schema.required;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds compact schemas of the method parameters
+ * @param  {Array}  params  Parameters
+ * @param  {Object} schemas Document schemas
+ * @return {Object}         Parameter schemas ({ [param]: { type, ..., required, nullable } })
  */
-function buildMethodParams(params) {
-  const resultParams = [];
+function buildParamsSchemas(params, schemas) {
+  const result = {};
 
   for (let param of params) {
-    resultParams.push(
-      // If you do not pass a required argument to the method, an error will be raised
-      `${param.name} = ${param.required ? `required('${param.name}')` : null}`
-    );
+    result[param.name] = {
+      ...buildValidationSchema(param.schema, schemas),
+      ...(param.required ? { required: true } : {}),
+      ...(param.nullable ? { nullable: true } : {})
+    };
   }
 
-  return resultParams.length ? `{ ${resultParams.join(', ')} } = {}` : '';
+  return result;
+}
+
+/**
+ * Builds the beginning of the method body: validation and extraction of named parameters
+ * @param  {string} operation Full method name (Chat.v2.SendMessage)
+ * @param  {Array}  params    Parameters
+ * @return {string}           Code that checks the parameters and declares them as variables
+ */
+function buildMethodParams(operation, params) {
+  if (!params.length) return '';
+
+  // Path parameters are checked without the validation too, otherwise they become "null" in the address
+  const pathParams = params.filter(param => param.out.location === 'path' && !param.nullable);
+  const checkPath = pathParams.length
+    ? ` else {
+    checkPathParams('${operation}', [${pathParams.map(param => `'${param.name}'`).join(', ')}], params);
+  }`
+    : '';
+
+  return `if (this.validate) {
+    validateParams('${operation}', PARAMS_SCHEMAS['${operation.split('.').pop()}'], params);
+  }${checkPath}
+  const { ${params.map(param => `${param.name} = null`).join(', ')} } = params;`;
+}
+
+/**
+ * Checks whether the parameter is a file (form data)
+ * @param  {Object}  param Parameter
+ * @return {Boolean}
+ */
+function isFileParam(param) {
+  return param.out.location === 'formData' && param.schema.type === 'file';
+}
+
+/**
+ * Determines how the form data parameters of the method are sent
+ * @param  {Object} methodInfo Method documentation node
+ * @param  {Array}  params     Parameters
+ * @return {string}            "multipart", "urlencoded" (only plain fields and only this type is consumed), null - no form
+ */
+function getFormEncoding(methodInfo, params) {
+  const fields = params.filter(param => param.out.location === 'formData');
+  if (!fields.length) return null;
+  const consumes = methodInfo.consumes || [];
+  const urlEncoded = consumes.some(type => /x-www-form-urlencoded/i.test(type)) &&
+    !consumes.some(type => /multipart\/form-data/i.test(type));
+  return urlEncoded && !fields.some(isFileParam) ? 'urlencoded' : 'multipart';
 }
 
 /**
  * Method body generation
- * @param  {string}  fullURL    Full address of the method (https://<>.roblox.com/...)
- * @param  {string}  methodType Method for working with endpoint (GET, POST, PATCH etc)
- * @param  {Array}   params     Parameters
- * @param  {Object}  pathParams Information about the parameters that will be written to the address
- * @param  {Boolean} isMapped   Do we need to group parameters
- * @return {string}             Method body
- */
-function buildMethodBody(fullURL, methodType, params, pathParams, isMapped) {
+ * @param  {string}  operation      Full method name (Chat.v2.SendMessage), passed with the request for errors
+ * @param  {string}  fullURL        Full address of the method (https://<>.roblox.com/...)
+ * @param  {string}  methodType     Method for working with endpoint (GET, POST, PATCH etc)
+ * @param  {Array}   params         Parameters
+ * @param  {Object}  pathParams     Information about the parameters that will be written to the address
+ * @param  {Boolean} isMapped       Do we need to group parameters
+ * @param  {string}  [formEncoding] How the form data parameters are sent (see getFormEncoding)
+ * @return {string}                 Method body
+ */
+function buildMethodBody(operation, fullURL, methodType, params, pathParams, isMapped, formEncoding = null) {
   let reqBody = null;
   const reqParams = [];
   const reqHeaders = [];
+  // All form data parameters are sent together in one body
+  const formFields = [];
+  const fileFields = [];
 
   if (isMapped) {
     let out;
@@ -475,17 +1714,30 @@ function buildMethodBody(fullURL, methodType, params, pathParams, isMapped) {
         if (reqBody) { throw new Error(param); }
         reqBody = param.name;
       } else if (param.out.location === 'formData') {
-        reqBody = param.name;
-        reqHeaders.push(`...(${param.name} ? ${param.name}.getHeaders() : {})`);
+        formFields.push(`'${param.out.param}': ${param.name}`);
+        if (isFileParam(param)) fileFields.push(param.out.param);
       } else {
         throw new Error('Unsupported parameter location: ' + param.out.location);
       }
     }
   }
 
-  return `return this.client({
+  if (formFields.length) {
+    if (reqBody) {
+      throw new Error('Body and form data parameters cannot be used together');
+    }
+    reqBody = formEncoding === 'urlencoded'
+      ? `createUrlEncodedBody({${formFields.join(',\n')}})`
+      : `new MultipartBody({${formFields.join(',\n')}}, {
+          files: ${JSON.stringify(fileFields)},
+          onUploadProgress: options.onUploadProgress
+        })`;
+  }
+
+  return `return this.client(applyCallOptions({
     ${
       [
+        `operation: '${operation}'`,
         `method: '${methodType.toLowerCase()}'`,
         `url: \`${fullURL}\``,
         reqBody ? `data: ${reqBody}` : null,
@@ -493,127 +1745,969 @@ function buildMethodBody(fullURL, methodType, params, pathParams, isMapped) {
         reqHeaders.length ? `headers: {${reqHeaders.join(',\n')}}` : null
       ].filter(Boolean).join(',\n')
     }
-  });`;
+  }, options));`;
+}
+
+/**
+ * Checks whether the method is cursor-paged (cursor parameter and nextPageCursor / data in the response)
+ * @param  {Array}  params   Parameters
+ * @param  {Object} response Schema of the successful response (if known)
+ * @param  {Object} types    Document types (see buildTypeContext)
+ * @return {Object}          Pagination information (null if the method is not paged)
+ */
+function getPaginationInfo(params, response, types) {
+  const findQueryParam = name => params.find(param => {
+    return param.out.location === 'query' && param.out.param === name;
+  });
+  const cursorParam = findQueryParam('cursor');
+  if (!cursorParam || !response) return null;
+
+  const page = extractSchemaNode(response, types.schemas);
+  const properties = page.properties || {};
+  if (!properties.nextPageCursor || !properties.data) return null;
+
+  const data = extractSchemaNode(properties.data, types.schemas);
+  if (data.type !== 'array') return null;
+
+  const limitParam = findQueryParam('limit') || null;
+  return {
+    cursorParam,
+    limitParam,
+    item: data.items,
+    limits: limitParam && limitParam.schema.enum ? limitParam.schema.enum : null
+  };
+}
+
+/**
+ * Generation of a companion method that iterates over all items of a cursor-paged method
+ * @param  {string} methodName Name of the paged method
+ * @param  {Array}  params     Parameters of the paged method
+ * @param  {Object} pagination Pagination information (see getPaginationInfo)
+ * @param  {Object} types      Document types (see buildTypeContext)
+ * @return {Object}            Class method (code and declaration)
+ */
+function buildIteratorMethod(methodName, params, pagination, types) {
+  const { cursorParam, limitParam, item, limits } = pagination;
+  const name = `Iterate${methodName}`;
+  // The cursor and the page size are controlled by the iterator
+  const pageParams = [cursorParam, limitParam].filter(Boolean);
+  const ownParams = params.filter(param => pageParams.indexOf(param) === -1);
+  const itemType = buildType(item, types, '');
+
+  const doc = [
+    `/** Iterates over all items of the ${methodName} method (all pages are requested in turn)`,
+    `* @param {Object} ${ownParams.some(param => param.required) ? 'params' : '[params]'} Parameters of the ${methodName} method`,
+    ...ownParams.map(param => {
+      const paramName = param.required ? `params.${param.name}` : `[params.${param.name}]`;
+      return `* @param {${buildType(param.schema, types, '')}} ${paramName} ${param.description}`;
+    }),
+    '* @param {Object} [options] Pagination options (and call options of the page requests)',
+    '* @param {number} [options.pageSize] Number of items per request',
+    '* @param {number} [options.maxItems] Maximum number of items (all by default)',
+    '* @param {string} [options.cursor] Cursor from which to start',
+    `* @returns {AsyncIterableIterator<${itemType}>} Iterator over the items`,
+    '*/'
+  ].join('\n');
+
+  const page = [
+    `${cursorParam.name}: page.cursor`,
+    limitParam ? `${limitParam.name}: page.limit` : null
+  ].filter(Boolean).join(', ');
+
+  const paramsType = ownParams.length
+    ? `Omit<${types.namespace}.${methodName}Params, ${pageParams.map(param => `'${param.name}'`).join(' | ')}>`
+    : null;
+  const optional = ownParams.some(param => param.required) ? '' : '?';
+
+  return {
+    name,
+    pagination: true,
+    code: `${doc}
+    ${name}(params = {}, options = {}) {
+      return paginate(page => this.${methodName}({ ...params, ${page} }, { ...options, raw: false }), options, ${JSON.stringify(limits)});
+    }`,
+    declaration: {
+      method: `/** Iterates over all items of the ${methodName} method (all pages are requested in turn) */\n` +
+        `${name}(${paramsType ? `params${optional}: ${paramsType}, ` : ''}options?: paginate.PaginationOptions): ` +
+        `AsyncIterableIterator<${buildType(item, types, `${types.namespace}.`)}>;`,
+      params: null
+    }
+  };
+}
+
+/**
+ * Collects the information about the method that is important for its callers (for the API manifest)
+ * @param  {string} methodType HTTP method (get, post, etc)
+ * @param  {string} path       Method relative path
+ * @param  {Object} methodInfo Method documentation node
+ * @param  {Array}  params     Parameters
+ * @param  {Object} types      Document types (see buildTypeContext)
+ * @return {Object}            Method signature
+ */
+function buildMethodSignature(methodType, path, methodInfo, params, types) {
+  return {
+    verb: methodType.toUpperCase(),
+    path,
+    description: methodInfo.summary || '',
+    deprecated: Boolean(methodInfo.deprecated),
+    params: params.map(param => ({
+      name: param.name,
+      location: param.out.location,
+      type: buildType(param.schema, types, ''),
+      required: param.required,
+      description: param.description
+    }))
+  };
 }
 
 /**
  * Generation of all endpoint methods
- * @param  {string} apiClassName Base endpoint link
- * @param  {string} url          Base endpoint link
- * @param  {string} path         Method relative path
- * @param  {Object} methodInfo   Method Information (Swagger format)
- * @return {string}              Class method as string
+ * @param  {string} apiClassName  API name
+ * @param  {string} version       API version (v1, etc)
+ * @param  {string} url           Base endpoint link
+ * @param  {string} path          Method relative path
+ * @param  {Object} endpointData  Endpoint Information (Swagger format)
+ * @param  {Object} types         Document types (see buildTypeContext)
+ * @param  {Object} naming        Resolved names of the class methods (see resolveMethodNames)
+ * @return {Array<Object>}        Class methods (code and declarations)
  */
-function buildEndpoint(apiClassName, url, path, endpointData, schemas) {
+function buildEndpoint(apiClassName, version, url, path, endpointData, types, naming) {
   const methodTypes = Object.entries(endpointData);
   const methods = [];
 
   for (let [methodType, methodInfo] of methodTypes) {
-    const { params, pathParams, isMapped } = buildParamsInfo(path, methodInfo, schemas);
-    const mathodDoc = buildMethodDoc(methodInfo.summary, methodInfo.deprecated, params);
-    const methodName = buildMethodName(apiClassName, path);
-    const methodParams = buildMethodParams(params);
-    const methodBody = buildMethodBody(url + path, methodType, params, pathParams, isMapped);
-    methodType = methodTypes.length > 1 ? methodType.toNormalCase() : '';
+    const { params, pathParams, isMapped } = buildParamsInfo(path, methodInfo, types.schemas);
+    const response = getResponseSchema(methodInfo);
+    const formEncoding = getFormEncoding(methodInfo, params);
+    // Multipart uploads also take the progress callback in the options
+    const upload = formEncoding === 'multipart';
+    const mathodDoc = buildMethodDoc(methodInfo.summary, methodInfo.deprecated, params, response, types, upload);
+    const key = `${methodType.toUpperCase()} ${path}`;
+    const name = naming.names[key];
+    const alias = naming.aliases[key];
+    // Full name of the method, the same as in the manifest (Chat.v2.SendMessage)
+    const operation = `${apiClassName}.${version.replace(/\.0$/, '')}.${name}`;
+    const methodParams = buildMethodParams(operation, params);
+    const methodBody = buildMethodBody(operation, url + path, methodType, params, pathParams, isMapped, formEncoding);
+
+    const declaration = buildMethodDeclaration(
+      name, methodInfo.summary, methodInfo.deprecated, params, response, types, upload
+    );
+    methods.push({
+      name,
+      form: Boolean(formEncoding),
+      upload,
+      signature: {
+        ...buildMethodSignature(methodType, path, methodInfo, params, types),
+        ...(alias ? { aliases: [alias] } : {})
+      },
+      validation: params.length ? buildParamsSchemas(params, types.schemas) : null,
+      code: `${mathodDoc}
+      ${name}(params = {}, options = {}) {
+        ${methodParams}
+        ${methodBody}
+      }`,
+      declaration
+    });
+    if (alias) {
+      methods.push(buildAliasMethod(alias, name, declaration.method));
+    }
 
-    methods.push(`${mathodDoc}
-    ${methodType}${methodName}(${methodParams}) {
-      ${methodBody}
-    }`);
+    // Cursor-paged methods also get an iterator over all items
+    const pagination = getPaginationInfo(params, response, types);
+    if (pagination) {
+      const pageParams = [pagination.cursorParam, pagination.limitParam];
+      methods.push({
+        ...buildIteratorMethod(name, params, pagination, types),
+        signature: {
+          ...buildMethodSignature(
+            methodType, path, methodInfo, params.filter(param => pageParams.indexOf(param) === -1), types
+          ),
+          description: `Iterates over all items of the ${name} method`,
+          iterates: name
+        }
+      });
+    }
   }
 
-  return methods.join('\n\n');
+  return methods;
+}
+
+/**
+ * Generates the name of the API version class
+ * @param  {string} apiName API name
+ * @param  {string} version API version (v1, v2.1, etc)
+ * @return {string}         Class name (Chat_v2, etc)
+ */
+function buildClassName(apiName, version) {
+  return `${apiName}_${version.replace(/\.0$/, '').replace(/\./g, '_')}`;
 }
 
 // ---- --------------------------------
 
 /**
- * Building an API tree
- * @param  {Object} apis Metadata
- * @return {Object}      API tree
+ * Generates the methods and types of one API version
+ * @param  {string} apiName API name
+ * @param  {string} version API version (v1, etc)
+ * @param  {string} url     API address
+ * @param  {Object} doc     Document of the version (Swagger 2.0 or OpenAPI 3)
+ * @param  {Object} config  Build config (paths, method names)
+ * @return {Object}         Version data ({ methods, collisions, typedefs, types })
  */
-async function buildApiTree(apis) {
-  const docsRequests = [];
-  const apisTree = {};
+function buildApiVersion(apiName, version, url, doc, config) {
+  const { definitions, paths: docPaths } = normalizeDocument(doc);
+  const types = buildTypeContext(definitions, buildClassName(apiName, version));
+  const paths = Object.entries(docPaths).filter(([path]) => isPathSelected(config, apiName, path));
+  const className = `${apiName}.${version.replace(/\.0$/, '')}`;
+
+  // All names of the class are resolved together (see "Method naming")
+  const operations = [];
+  for (let [path, methodData] of paths) {
+    const verbs = Object.keys(methodData);
+    for (let verb of verbs) {
+      operations.push({
+        key: `${verb.toUpperCase()} ${path}`,
+        verb,
+        path,
+        baseName: (verbs.length > 1 ? verb.toNormalCase() : '') + buildMethodName(apiName, path),
+        prefixed: verbs.length > 1,
+        operationId: methodData[verb].operationId || null
+      });
+    }
+  }
+  const naming = resolveMethodNames(className, operations, config.methodNames);
 
-  for (let [apiName, data] of Object.entries(apis)) {
-    apisTree[apiName] = {
-      meta: data,
-      versions: {}
-    };
-    for (let version of data.versions) {
-      docsRequests.push(
-        // Request documentation for each method of each endpoint version
-        client.get(`${data.url}/docs/json/${version}`)
-          .then(res => {
-            const doc = res.data;
-            const methods = [];
-            for (let [path, methodData] of Object.entries(doc.paths)) {
-              // code generation
-              methods.push(
-                buildEndpoint(apiName, data.url, path, methodData, doc.definitions)
-              );
-            }
-            apisTree[apiName].versions[version] = methods;
-          })
+  const methods = [];
+  for (let [path, methodData] of paths) {
+    // code generation
+    methods.push(
+      ...buildEndpoint(apiName, version, url, path, methodData, types, naming)
+    );
+  }
+
+  // Iterators and aliases are checked too, a later member with the same name is not generated
+  const memberNames = new Set();
+  const members = methods.filter(method => {
+    if (memberNames.has(method.name)) {
+      naming.collisions.push({ name: method.name, skipped: true });
+      return false;
+    }
+    memberNames.add(method.name);
+    return true;
+  });
+
+  const schemaNames = Object.keys(types.names);
+  return {
+    methods: members,
+    collisions: naming.collisions,
+    // Definitions of the document models (JSDoc and TypeScript)
+    typedefs: schemaNames.map(schemaName => buildTypeDefinition(schemaName, types)),
+    types: schemaNames.map(schemaName => buildTypeDeclaration(schemaName, types))
+  };
+}
+
+/**
+ * Building an API tree. Each API is built separately: if one of its documents cannot be received
+ * or generated, the API is left out of the tree and listed in "failed"
+ * @param  {Object} apis   Metadata
+ * @param  {Object} source Source of documents (live or snapshot)
+ * @param  {Object} config Build config (versions, paths, method names)
+ * @return {Object}        { tree: API tree, failed: [{ name, url, reason }] }
+ */
+async function buildApiTree(apis, source, config) {
+  const tree = {};
+  const failed = [];
+
+  const apiRequests = Object.entries(apis).map(([apiName, data]) => {
+    const versions = {};
+    // Request documentation for each method of each endpoint version
+    const docsRequests = selectVersions(config, data.versions).map(version => {
+      return source.fetchDocument(data.url, version)
+        .then(doc => {
+          versions[version] = buildApiVersion(apiName, version, data.url, doc, config);
+        })
+        .catch(err => {
+          throw new Error(`${version}: ${err.message}`);
+        });
+    });
+    return Promise.all(docsRequests)
+      .then(() => {
+        tree[apiName] = { meta: data, versions };
+      })
+      .catch(err => {
+        failed.push({ name: apiName, url: data.url, reason: err.message });
+      });
+  });
+
+  // Wait until all the documentation is loaded, and the methods are generated
+  await Promise.all(apiRequests);
+
+  // The order of the APIs does not depend on the order of the responses
+  const sortedTree = {};
+  for (let name of Object.keys(apis)) {
+    if (tree[name]) sortedTree[name] = tree[name];
+  }
+  return { tree: sortedTree, failed };
+}
+
+// Name of the manifest of the built API in the output directory (it is compared with the next build)
+const MANIFEST_FILE = 'api-manifest.json';
+
+// Generated files and directories of the output directory (they are replaced together)
+const GENERATED_FILES = ['apis', 'index.js', 'index.d.ts', MANIFEST_FILE];
+
+/**
+ * Creating files based on the received data. The files are generated into a temporary directory
+ * and then swapped in, so that a failed build does not leave a half-written output
+ * @param  {Object} apis     Data on all APIs (API tree)
+ * @param  {Object} manifest Manifest of the APIs (see buildManifest)
+ * @param  {string} outDir   Directory of the generated files
+ */
+async function createAPI(apis, manifest, outDir) {
+  const tempDir = path.join(outDir, `.build-${process.pid}`);
+  const backupDir = path.join(outDir, `.previous-${process.pid}`);
+
+  // Recursive cleaning of the working area
+  rimraf.sync(tempDir);
+  rimraf.sync(backupDir);
+  fs.mkdirSync(path.join(tempDir, 'apis'), { recursive: true });
+
+  try {
+    // The paths to the hand-written modules are built for the final location of the files
+    const creations = [
+      createIndex(apis, tempDir, getRuntimePath(outDir))
+    ];
+
+    for (let [name, versions] of Object.entries(apis)) {
+      creations.push(
+        createAPIClasses(name, versions, tempDir, getRuntimePath(path.join(outDir, 'apis')))
       );
     }
+
+    await Promise.all(creations);
+    fs.writeFileSync(path.join(tempDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  } catch (err) {
+    rimraf.sync(tempDir);
+    throw err;
   }
 
-  // Wait until all the documentation is loaded, and the methods are generated
-  await Promise.all(docsRequests);
-  return apisTree;
+  // The previous files are moved aside and restored if the new ones cannot be moved in
+  const moved = [];
+  const placed = [];
+  fs.mkdirSync(backupDir);
+  try {
+    for (let file of GENERATED_FILES) {
+      if (fs.existsSync(path.join(outDir, file))) {
+        fs.renameSync(path.join(outDir, file), path.join(backupDir, file));
+        moved.push(file);
+      }
+    }
+    for (let file of GENERATED_FILES) {
+      fs.renameSync(path.join(tempDir, file), path.join(outDir, file));
+      placed.push(file);
+    }
+  } catch (err) {
+    for (let file of placed) {
+      rimraf.sync(path.join(outDir, file));
+    }
+    for (let file of moved) {
+      fs.renameSync(path.join(backupDir, file), path.join(outDir, file));
+    }
+    throw err;
+  } finally {
+    rimraf.sync(tempDir);
+    rimraf.sync(backupDir);
+  }
 }
 
+// ---- API change report
+
+
 /**
- * Creating files based on the received data
+ * Builds a machine-readable manifest of all APIs, versions and methods
  * @param  {Object} apis Data on all APIs (API tree)
+ * @return {Object}      Manifest
  */
-async function createAPI(apis) {
-  // Recursive cleaning of the working area
-  if (fs.existsSync('./dist/apis')) rimraf.sync('./dist/apis');
-  if (fs.existsSync('./dist/index.js')) rimraf.sync('./dist/index.js');
+function buildManifest(apis) {
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    apis: {}
+  };
+
+  for (let [name, data] of Object.entries(apis).sort(([a], [b]) => a.localeCompare(b))) {
+    manifest.apis[name] = {
+      url: data.meta.url,
+      description: data.meta.description || '',
+      versions: {}
+    };
+    for (let version of Object.keys(data.versions).sort()) {
+      const methods = {};
+      for (let method of data.versions[version].methods) {
+        // Aliases are listed in the signatures of their methods
+        if (method.alias) continue;
+        methods[method.name] = method.signature;
+      }
+      if (Object.keys(methods).length) {
+        manifest.apis[name].versions[version.replace(/\.0$/, '')] = methods;
+      }
+    }
+  }
 
-  // dist always exists, but apis does not
-  fs.mkdirSync('./dist/apis');
+  return manifest;
+}
 
-  const creations = [
-    createIndex(apis)
-  ];
+/**
+ * Compares the parameters of two versions of the method
+ * @param  {Array}         before Previous parameters
+ * @param  {Array}         after  New parameters
+ * @return {Array<Object>}        Changes ({ param, change, breaking })
+ */
+function diffParams(before, after) {
+  const changes = [];
+  const find = (params, name) => params.find(param => param.name === name);
+
+  for (let param of before) {
+    const next = find(after, param.name);
+    if (!next) {
+      changes.push({ param: param.name, change: 'removed', breaking: true });
+      continue;
+    }
+    if (next.type !== param.type) {
+      changes.push({ param: param.name, change: `type ${param.type} -> ${next.type}`, breaking: true });
+    }
+    if (next.required && !param.required) {
+      changes.push({ param: param.name, change: 'became required', breaking: true });
+    } else if (!next.required && param.required) {
+      changes.push({ param: param.name, change: 'became optional', breaking: false });
+    }
+    if (next.location !== param.location) {
+      changes.push({
+        param: param.name,
+        change: `location ${param.location} -> ${next.location}`,
+        breaking: false
+      });
+    }
+  }
+
+  for (let param of after) {
+    if (!find(before, param.name)) {
+      changes.push({
+        param: param.name,
+        change: param.required ? 'added (required)' : 'added',
+        breaking: param.required
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compares two manifests
+ * @param  {Object} before Previous manifest
+ * @param  {Object} after  New manifest
+ * @return {Object}        Changes ({ added, removed, changed, breaking })
+ */
+function diffManifests(before, after) {
+  const result = { added: [], removed: [], changed: [], breaking: false };
+  // Flat list: "Chat.v2.SendMessage" -> signature
+  const flatten = manifest => {
+    const methods = {};
+    for (let [name, api] of Object.entries(manifest.apis)) {
+      for (let [version, versionMethods] of Object.entries(api.versions)) {
+        for (let [methodName, signature] of Object.entries(versionMethods)) {
+          methods[`${name}.${version}.${methodName}`] = signature;
+        }
+      }
+    }
+    return methods;
+  };
+  const beforeMethods = flatten(before);
+  const afterMethods = flatten(after);
+
+  for (let [method, signature] of Object.entries(beforeMethods)) {
+    const next = afterMethods[method];
+    if (!next) {
+      result.removed.push({ method, breaking: true });
+      continue;
+    }
+
+    const changes = diffParams(signature.params, next.params);
+    if (next.verb !== signature.verb) {
+      changes.unshift({ change: `verb ${signature.verb} -> ${next.verb}`, breaking: true });
+    }
+    if (next.path !== signature.path) {
+      changes.unshift({ change: `path ${signature.path} -> ${next.path}`, breaking: false });
+    }
+    if (changes.length) {
+      result.changed.push({ method, changes, breaking: changes.some(change => change.breaking) });
+    }
+  }
+
+  for (let method of Object.keys(afterMethods)) {
+    if (!beforeMethods[method]) {
+      result.added.push({ method, breaking: false });
+    }
+  }
+
+  result.breaking = result.removed.length > 0 || result.changed.some(change => change.breaking);
+  return result;
+}
+
+/**
+ * Prints the report on API changes
+ * @param {Object} changes Changes (see diffManifests)
+ */
+function printChangeReport(changes) {
+  const { added, removed, changed } = changes;
+  if (!added.length && !removed.length && !changed.length) {
+    console.log('API has not changed since the previous build.');
+    return;
+  }
+
+  const mark = breaking => breaking ? ' \x1b[31m[BREAKING]\x1b[0m' : '';
+  console.log(
+    `API changes: \x1b[32m${added.length} added\x1b[0m, ` +
+    `\x1b[31m${removed.length} removed\x1b[0m, \x1b[33m${changed.length} changed\x1b[0m.`
+  );
+  for (let { method } of added) {
+    console.log(`  \x1b[32m+\x1b[0m ${method}`);
+  }
+  for (let { method, breaking } of removed) {
+    console.log(`  \x1b[31m-\x1b[0m ${method}${mark(breaking)}`);
+  }
+  for (let { method, changes: methodChanges, breaking } of changed) {
+    console.log(`  \x1b[33m~\x1b[0m ${method}${mark(breaking)}`);
+    for (let { param, change, breaking: isBreaking } of methodChanges) {
+      console.log(`      ${param ? `${param}: ` : ''}${change}${mark(isBreaking)}`);
+    }
+  }
+}
+
+// ---- Build config
+
+// Name of the project config file (looked up in the directory from which the build was started)
+const CONFIG_FILE = 'rbx-api.config.js';
+
+/**
+ * Resolves the path against the directory of the project
+ * @param  {string} file Path (relative to the project or absolute)
+ * @return {string}      Absolute path
+ */
+function resolveProjectPath(file) {
+  // npm runs the install scripts in the package directory, INIT_CWD is the directory of the project
+  return path.resolve(process.env.INIT_CWD || process.cwd(), file);
+}
+
+/**
+ * Reads the build config and fills in the defaults
+ * @param  {string} [file] Path to the config file (rbx-api.config.js of the project by default, optional)
+ * @return {Object}        Build config
+ */
+function loadConfig(file) {
+  const configPath = resolveProjectPath(file || CONFIG_FILE);
+  let userConfig = {};
+
+  if (fs.existsSync(configPath)) {
+    userConfig = require(configPath);
+    console.log(`Using the config \x1b[36m${configPath}\x1b[0m.`);
+  } else if (file) {
+    throw new Error(`Config not found: "${configPath}" does not exist`);
+  }
+
+  const defaults = {
+    // Pages from which the list of APIs is taken (links or { link, parser })
+    sources: DEFAULT_SOURCES,
+    // Pages added to the sources
+    extraSources: [],
+    // API addresses added to the list (https://users.roblox.com)
+    baseURLs: [],
+    // APIs with their own documents, Swagger 2.0 or OpenAPI 3 (local files or addresses):
+    // [{ url: 'https://apis.roblox.com/cloud', name: 'Cloud', versions: { v2: './specs/cloud-v2.json' } }]
+    specs: [],
+    // API names or addresses (* - any characters), only these are built if specified
+    include: [],
+    exclude: [],
+    // Method paths (/v1/users/*), optionally with the API name (Users /v1/users/*)
+    includePaths: [],
+    excludePaths: [],
+    // 'all' - every version of every API, 'latest' - only the latest one
+    versions: 'all',
+    concurrency: MAX_SIMULTANEOUS_REQUESTS,
+    // Repetitions of failed requests for the documents, with the delay doubled each time (ms)
+    retries: DOCUMENT_RETRIES,
+    retryDelay: RETRY_DELAY,
+    // The build fails (the previous one is kept) if fewer APIs are built,
+    // more APIs fail, or one of the required APIs is not built
+    minApis: 1,
+    maxFailed: null,
+    requiredApis: [],
+    // Directory of the generated files
+    outDir: RUNTIME_DIR,
+    // Names of the methods ({ 'Users.v1.Users': 'GetUser', 'Users.v1 GET /v1/users/{userId}': 'GetUser' })
+    methodNames: {}
+  };
+
+  const unknown = Object.keys(userConfig).filter(key => !(key in defaults));
+  if (unknown.length) {
+    throw new Error(`Unknown config options: ${unknown.join(', ')}`);
+  }
+  const config = { ...defaults, ...userConfig };
 
-  for (let [name, versions] of Object.entries(apis)) {
-    creations.push(
-      createAPIClasses(name, versions)
+  if (['all', 'latest'].indexOf(config.versions) === -1) {
+    throw new Error(`Config option "versions" must be "all" or "latest", got "${config.versions}"`);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error('Config option "concurrency" must be a positive integer');
+  }
+  for (let option of ['retries', 'retryDelay', 'minApis']) {
+    if (!Number.isInteger(config[option]) || config[option] < 0) {
+      throw new Error(`Config option "${option}" must be a non-negative integer`);
+    }
+  }
+
+  // Sources can be specified only by their link
+  config.sources = [...config.sources, ...config.extraSources].map(source => {
+    return typeof(source) === 'string' ? { link: source, parser: parseApiLinks } : source;
+  });
+  config.baseURLs = config.baseURLs.map(url => url.replace(/\/+$/, ''));
+  config.specs = config.specs.map(spec => {
+    if (!spec || !spec.url || !spec.versions || !Object.keys(spec.versions).length) {
+      throw new Error('Each of the "specs" must have "url" and "versions" ({ v1: file or address })');
+    }
+    const url = spec.url.replace(/\/+$/, '');
+    const name = spec.name || getApiName(url);
+    if (!name) {
+      throw new Error(`Cannot build the API name from "${url}", specify "name" of the spec`);
+    }
+    const versions = {};
+    for (let [version, location] of Object.entries(spec.versions)) {
+      // Files are relative to the project
+      versions[version] = /^https?:\/\//.test(location) ? location : resolveProjectPath(location);
+    }
+    return { ...spec, url, name, versions };
+  });
+  const specURLs = config.specs.map(spec => spec.url);
+  const repeated = specURLs.filter((url, index) => specURLs.indexOf(url) !== index);
+  if (repeated.length) {
+    throw new Error(`Specs are repeated: ${repeated.join(', ')}`);
+  }
+  config.outDir = resolveProjectPath(config.outDir);
+  return config;
+}
+
+/**
+ * Checks whether the value matches one of the patterns
+ * @param  {Array<string|RegExp>} patterns Patterns (* - any characters, case-insensitive) or regular expressions
+ * @param  {Array<string>}        values   Values (any of them can match)
+ * @return {Boolean}
+ */
+function matchesPatterns(patterns, values) {
+  return patterns.some(pattern => {
+    const regexp = pattern instanceof RegExp ? pattern : RegExp(
+      `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i'
     );
+    return values.some(value => regexp.test(value));
+  });
+}
+
+/**
+ * Checks whether the API is selected by the config
+ * @param  {Object}  config Build config
+ * @param  {string}  name   API name (Users)
+ * @param  {string}  url    API address (https://users.roblox.com)
+ * @return {Boolean}
+ */
+function isApiSelected(config, name, url) {
+  if (config.include.length && !matchesPatterns(config.include, [name, url])) {
+    return false;
   }
+  return !matchesPatterns(config.exclude, [name, url]);
+}
 
-  await Promise.all(creations);
+/**
+ * Checks whether the method path is selected by the config
+ * @param  {Object}  config  Build config
+ * @param  {string}  apiName API name (Users)
+ * @param  {string}  path    Method path (/v1/users/{userId})
+ * @return {Boolean}
+ */
+function isPathSelected(config, apiName, path) {
+  const values = [path, `${apiName} ${path}`];
+  if (config.includePaths.length && !matchesPatterns(config.includePaths, values)) {
+    return false;
+  }
+  return !matchesPatterns(config.excludePaths, values);
+}
+
+/**
+ * Selects the built versions of the API
+ * @param  {Object}        config   Build config
+ * @param  {Array<string>} versions API versions (v1, v2, v1.1)
+ * @return {Array<string>}          Built versions
+ */
+function selectVersions(config, versions) {
+  if (config.versions === 'all' || versions.length < 2) {
+    return versions;
+  }
+  const numbers = version => version.replace(/^v/, '').split('.').map(Number);
+  const latest = versions.reduce((result, version) => {
+    const [a, b] = [numbers(version), numbers(result)];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) > (b[i] || 0) ? version : result;
+    }
+    return result;
+  });
+  return [latest];
+}
+
+/**
+ * Prints the summary of the build
+ * @param {Object} summary Built, skipped (unavailable or without methods) and failed APIs
+ */
+function printBuildSummary({ built, skipped, failed }) {
+  console.log(
+    `Build summary: \x1b[32m${built.length} built\x1b[0m, ` +
+    `\x1b[33m${skipped.length} skipped\x1b[0m, \x1b[31m${failed.length} failed\x1b[0m.`
+  );
+  for (let { name, reason } of skipped) {
+    console.log(`  \x1b[33m-\x1b[0m ${name}: ${reason}`);
+  }
+  for (let { name, reason } of failed) {
+    console.log(`  \x1b[31mx\x1b[0m ${name}: ${reason}`);
+  }
+}
+
+/**
+ * Checks the thresholds of the config
+ * @param  {Object}        config  Build config (minApis, maxFailed, requiredApis)
+ * @param  {Object}        summary Built, skipped and failed APIs
+ * @return {Array<string>}         Unmet thresholds
+ */
+function checkThresholds(config, { built, failed }) {
+  const problems = [];
+  if (built.length < config.minApis) {
+    problems.push(`${built.length} APIs are built (at least ${config.minApis} required)`);
+  }
+  if (config.maxFailed !== null && failed.length > config.maxFailed) {
+    problems.push(`${failed.length} APIs failed (at most ${config.maxFailed} allowed)`);
+  }
+  const missing = config.requiredApis.filter(name => built.indexOf(name) === -1);
+  if (missing.length) {
+    problems.push(`required APIs are not built: ${missing.join(', ')}`);
+  }
+  return problems;
 }
 
-/** Main script function, works asynchronously */
-async function main() {
-  console.log('Request for a list of Roblox endpoints...\nIt can take some time. \x1b[33m\x1b[4mPlease, wait.\x1b[0m');
-  const apisList = await fetchApiList();
+/**
+ * Prints the report on the method names that were changed because of collisions (see "Method naming")
+ * @param {Object} apis Data on all APIs (API tree)
+ */
+function printCollisionReport(apis) {
+  const lines = [];
+  for (let [name, data] of Object.entries(apis)) {
+    for (let [version, { collisions }] of Object.entries(data.versions)) {
+      const className = `${name}.${version.replace(/\.0$/, '')}`;
+      for (let collision of collisions) {
+        if (collision.skipped) {
+          lines.push(`  ${className}.${collision.name}: the name is taken, the member is not generated`);
+        } else if (collision.alias) {
+          const [{ key, name: methodName }] = collision.methods;
+          lines.push(`  ${className}.${collision.name}: alias of ${methodName} (${key}) collides, not generated`);
+        } else {
+          lines.push(`  ${className}.${collision.name}:`);
+          for (let { key, name: methodName } of collision.methods) {
+            lines.push(`      ${key} -> ${methodName}`);
+          }
+        }
+      }
+    }
+  }
+  if (lines.length) {
+    console.log(`Method name collisions (resolved):\n${lines.join('\n')}`);
+  }
+}
+
+/**
+ * Parses command line arguments of the script
+ * @param  {Array<string>} argv Arguments (without "node" and the script path)
+ * @return {Object}             Build options
+ */
+function parseArgs(argv) {
+  const options = {
+    // Snapshot directory from which the API will be built (without network access)
+    snapshot: process.env.RBX_API_SNAPSHOT || null,
+    // Directory where the downloaded documents will be saved (instead of building)
+    saveSnapshot: null,
+    // Do not generate files if there are breaking changes compared to the previous build
+    failOnBreaking: Boolean(process.env.RBX_API_FAIL_ON_BREAKING),
+    // Build config file (rbx-api.config.js of the project by default)
+    config: process.env.RBX_API_CONFIG || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : null;
+
+    if (arg === '--snapshot') {
+      if (!next) throw new Error('Option "--snapshot" requires a directory');
+      options.snapshot = next;
+      i++;
+    } else if (arg === '--save-snapshot') {
+      // The directory is optional, by default a new one is created for each snapshot
+      options.saveSnapshot = next || `./snapshots/${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      if (next) i++;
+    } else if (arg === '--fail-on-breaking') {
+      options.failOnBreaking = true;
+    } else if (arg === '--config') {
+      if (!next) throw new Error('Option "--config" requires a file');
+      options.config = next;
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.snapshot && options.saveSnapshot) {
+    throw new Error('Options "--snapshot" and "--save-snapshot" cannot be used together');
+  }
+
+  return options;
+}
+
+/**
+ * Requests the addresses of all APIs: of the sources (the snapshot keeps their list) and the explicitly specified ones
+ * @param  {Object}        source Source of documents
+ * @param  {Object}        config Build config (sources, baseURLs, specs)
+ * @return {Array<string>}        Addresses of the APIs
+ */
+async function fetchApiUrls(source, config) {
+  const sourceApiList = config.sources.length ? await source.fetchApiList() : [];
+  return [...sourceApiList, ...config.baseURLs, ...config.specs.map(spec => spec.url)]
+    .filter((api, index, list) => list.indexOf(api) === index);
+}
+
+/**
+ * Downloads every API and every version of the sources (the filters, versions and thresholds of the config
+ * are not applied, so that any config can be built from the snapshot) and saves them to the snapshot directory
+ * @param  {Object}   source  Recording source of documents (see createRecordingSource)
+ * @param  {Object}   config  Build config
+ * @param  {string}   dir     Snapshot directory
+ * @param  {function} getName Builds the API name from its address
+ */
+async function saveSnapshot(source, config, dir, getName) {
+  const apisList = await fetchApiUrls(source, config);
+  const { result: apis, unavailable } = await fetchMeta(apisList, source, getName);
+
+  // APIs whose documents cannot be received are saved without them (they fail in the builds from the snapshot)
+  const failed = [];
+  await Promise.all(Object.entries(apis).map(([name, data]) => {
+    return Promise.all(data.versions.map(version => {
+      return source.fetchDocument(data.url, version).catch(err => {
+        throw new Error(`${version}: ${err.message}`);
+      });
+    })).catch(err => failed.push({ name, url: data.url, reason: err.message }));
+  }));
+
+  writeSnapshot(dir, source.snapshot);
+  console.log(
+    `Snapshot summary: \x1b[32m${Object.keys(apis).length - failed.length} saved\x1b[0m, ` +
+    `\x1b[33m${unavailable.length} unavailable\x1b[0m, \x1b[31m${failed.length} failed\x1b[0m.`
+  );
+  for (let { name, reason } of unavailable) {
+    console.log(`  \x1b[33m-\x1b[0m ${name}: ${reason}`);
+  }
+  for (let { name, reason } of failed) {
+    console.log(`  \x1b[31mx\x1b[0m ${name}: ${reason}`);
+  }
+}
+
+/**
+ * Main script function, works asynchronously
+ * @param  {Array<string>} argv Command line arguments
+ * @return {Object}             Result ({ snapshot: directory } if the documents were saved instead of building)
+ */
+async function main(argv) {
+  const options = parseArgs(argv);
+  const config = loadConfig(options.config);
+  let source = createLiveSource(config);
+
+  // APIs of the specs have their own names
+  const getName = url => {
+    const spec = config.specs.find(spec => spec.url === url);
+    return spec ? spec.name : getApiName(url);
+  };
+
+  if (options.snapshot) {
+    const snapshotDir = resolveProjectPath(options.snapshot);
+    console.log(`Building from the snapshot \x1b[36m${snapshotDir}\x1b[0m (offline).`);
+    source = createSnapshotSource(snapshotDir);
+  } else {
+    console.log('Request for a list of Roblox endpoints...\nIt can take some time. \x1b[33m\x1b[4mPlease, wait.\x1b[0m');
+    if (config.specs.length) {
+      source = createSpecSource(source, config.specs);
+    }
+    if (options.saveSnapshot) {
+      const snapshotDir = resolveProjectPath(options.saveSnapshot);
+      await saveSnapshot(createRecordingSource(source), config, snapshotDir, getName);
+      return { snapshot: snapshotDir };
+    }
+  }
+
+  // APIs filtered by the config
+  const apisList = (await fetchApiUrls(source, config)).filter(api => isApiSelected(config, getName(api), api));
 
   if (apisList.length) {
-    const { result: apis, availableCount: available } = await fetchMeta(apisList);
+    const { result: apis, availableCount: available, unavailable } = await fetchMeta(apisList, source, getName);
     console.log(`Done. \x1b[32m${available} / ${apisList.length}\x1b[0m endpoints are available.`);
 
     console.log('Construction of the API tree.');
-    const apisTree = await buildApiTree(apis);
+    const { tree: apisTree, failed } = await buildApiTree(apis, source, config);
+    printCollisionReport(apisTree);
+
+    // APIs without methods (for example, all paths are excluded) are not generated
+    const skipped = unavailable.map(api => ({ ...api, reason: `unavailable (${api.reason})` }));
+    for (let [name, data] of Object.entries(apisTree)) {
+      if (!Object.values(data.versions).some(version => version.methods.length > 0)) {
+        skipped.push({ name, url: data.meta.url, reason: 'no methods' });
+        delete apisTree[name];
+      }
+    }
+    const summary = { built: Object.keys(apisTree), skipped, failed };
+    printBuildSummary(summary);
+    const problems = checkThresholds(config, summary);
+    if (problems.length) {
+      throw new Error(`The build does not meet the thresholds: ${problems.join('; ')}. The previous build is left unchanged.`);
+    }
+
+    // Comparison with the previous build
+    const manifest = buildManifest(apisTree);
+    const manifestPath = path.join(config.outDir, MANIFEST_FILE);
+    if (fs.existsSync(manifestPath)) {
+      const changes = diffManifests(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), manifest);
+      printChangeReport(changes);
+      if (changes.breaking && options.failOnBreaking) {
+        throw new Error('Breaking API changes were found, the previous build is left unchanged.');
+      }
+    }
 
     console.log('The tree is ready. File generation started.');
-    await createAPI(apisTree);
+    await createAPI(apisTree, manifest, config.outDir);
 
   } else {
     throw new Error('API list not found.');
   }
 }
 
-main()
-  .then(
-    res => console.log('\x1b[32mAPI was successfully built.\nHave a nice day! :)\x1b[0m')
-  )
-  .catch(
-    err => console.error(`\x1b[31mAn error was detected while building the API: \x1b[4m${err.message}\x1b[0m`)
-  );
+main(process.argv.slice(2))
+  .then(res => {
+    if (res && res.snapshot) {
+      console.log(`\x1b[32mThe snapshot was saved to \x1b[36m${res.snapshot}\x1b[32m.\nHave a nice day! :)\x1b[0m`);
+    } else {
+      console.log('\x1b[32mAPI was successfully built.\nHave a nice day! :)\x1b[0m');
+    }
+  })
+  .catch(err => {
+    console.error(`\x1b[31mAn error was detected while building the API: \x1b[4m${err.message}\x1b[0m`);
+    process.exitCode = 1;
+  });
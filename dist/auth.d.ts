@@ -0,0 +1,54 @@
+import { AxiosInstance } from 'axios';
+import { Session } from './sessions';
+
+/** Strategy of authorization of the requests */
+export interface AuthStrategy {
+  /** Strategy name (cookie, apiKey, oauth2 or a custom one) */
+  name: string;
+  /** Whether the requests need X-CSRF tokens */
+  csrf: boolean;
+  /** Returns the authorization headers of the session (may refresh the token before that) */
+  authorize(session: Session, client: AxiosInstance): Record<string, string> | Promise<Record<string, string>>;
+  /** Refreshes the token after 401 (false if it cannot be refreshed) */
+  refresh(session: Session, client: AxiosInstance): Promise<boolean>;
+  /** Whether the request was sent with the current token of the session (otherwise it is just repeated) */
+  isCurrent(session: Session, headers: Record<string, string>): boolean;
+}
+
+/** Tokens received from the OAuth2 token endpoint */
+export interface OAuth2Tokens {
+  accessToken: string;
+  refreshToken: string;
+  /** Expiry of the access token (ms) */
+  expiresAt: number | null;
+}
+
+/** Options of the OAuth2 strategy */
+export interface OAuth2Options {
+  /** ID of the OAuth2 application */
+  clientId: string;
+  /** Secret of the application (confidential clients) */
+  clientSecret?: string | null;
+  /** Refresh token (if the session does not have its own) */
+  refreshToken?: string | null;
+  /** Expiry of the access token of the session (ms) */
+  expiresAt?: number | null;
+  /** Address of the token endpoint (https://apis.roblox.com/oauth/v1/token) */
+  tokenUrl?: string;
+  /** How long before the expiry the token is refreshed (ms, 60000) */
+  refreshMargin?: number;
+  /** Receives the new tokens */
+  onRefresh?: ((tokens: OAuth2Tokens, session: Session) => void) | null;
+}
+
+/** Address from which OAuth2 tokens are received */
+export const OAUTH2_TOKEN_URL: string;
+
+/** Authorization with the .ROBLOSECURITY cookie (X-CSRF tokens, refresh with the refreshToken callback) */
+export function createCookieAuth(): AuthStrategy;
+
+/** Authorization with an Open Cloud API key (the token of the session by default) */
+export function createApiKeyAuth(apiKey?: string | null): AuthStrategy;
+
+/** Authorization with an OAuth2 access token, refreshed before its expiry and on 401 */
+export function createOAuth2Auth(options: OAuth2Options): AuthStrategy;
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const qs = require('qs');
+
+// Address from which OAuth2 tokens are received (Roblox Open Cloud)
+const OAUTH2_TOKEN_URL = 'https://apis.roblox.com/oauth/v1/token';
+
+// How long before the expiry the access token is refreshed (ms)
+const OAUTH2_REFRESH_MARGIN = 60000;
+
+/**
+ * Builds the Cookie header of the token
+ * @param  {string} token .ROBLOSECURITY cookie
+ * @return {string}       Header value (undefined if there is no token)
+ */
+const buildCookie = token => (token ? `.ROBLOSECURITY=${token};` : undefined);
+
+/**
+ * Authorization with the .ROBLOSECURITY cookie of the session. Requests that change data need
+ * an X-CSRF token, the cookie is refreshed with the refreshToken callback of the session (on 401).
+ * Sessions without a token send requests without the cookie
+ * @return {Object} Strategy
+ */
+const createCookieAuth = () => ({
+  name: 'cookie',
+  csrf: true,
+  authorize: session => (session.token ? { Cookie: buildCookie(session.token) } : {}),
+  refresh: session => session.refresh(),
+  isCurrent: (session, headers) => headers.Cookie === buildCookie(session.token)
+});
+
+/**
+ * Authorization with an Open Cloud API key (x-api-key header). Keys do not need X-CSRF tokens
+ * and cannot be refreshed
+ * @param  {string} [apiKey] API key (the token of the session by default)
+ * @return {Object}          Strategy
+ */
+const createApiKeyAuth = (apiKey = null) => ({
+  name: 'apiKey',
+  csrf: false,
+  authorize: session => (apiKey || session.token ? { 'x-api-key': apiKey || session.token } : {}),
+  refresh: () => Promise.resolve(false),
+  isCurrent: () => true
+});
+
+/**
+ * Authorization with an OAuth2 access token (Bearer). The token is refreshed with the refresh token
+ * shortly before its expiry and when Roblox rejects it (401). The token of the session is the access token,
+ * the refresh token is kept in session.credentials.refreshToken (both are saved to the session store)
+ * @param  {Object}   options                 Strategy options
+ * @param  {string}   options.clientId        ID of the OAuth2 application
+ * @param  {string}   [options.clientSecret]  Secret of the application (confidential clients)
+ * @param  {string}   [options.refreshToken]  Refresh token (if the session does not have its own)
+ * @param  {number}   [options.expiresAt]     Expiry of the access token of the session (ms)
+ * @param  {string}   [options.tokenUrl]      Address of the token endpoint
+ * @param  {number}   [options.refreshMargin] How long before the expiry the token is refreshed (ms)
+ * @param  {function} [options.onRefresh]     Receives the new tokens ({ accessToken, refreshToken, expiresAt })
+ * @return {Object}                           Strategy
+ */
+const createOAuth2Auth = ({
+  clientId,
+  clientSecret = null,
+  refreshToken = null,
+  expiresAt = null,
+  tokenUrl = OAUTH2_TOKEN_URL,
+  refreshMargin = OAUTH2_REFRESH_MARGIN,
+  onRefresh = null
+}) => {
+  if (!clientId) {
+    throw new Error('OAuth2 strategy requires "clientId"');
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token
+   * @param  {Session}       session Session
+   * @param  {AxiosInstance} client  Client (its adapter is used, so that replacements of addresses apply)
+   * @return {Promise<Object>}       Changes of the session
+   */
+  const exchange = (session, client) => {
+    const credentials = session.credentials || {};
+    const body = {
+      grant_type: 'refresh_token',
+      refresh_token: credentials.refreshToken || refreshToken,
+      client_id: clientId,
+      ...(clientSecret ? { client_secret: clientSecret } : {})
+    };
+    // Not through the interceptors of the client, the token request is not authorized by itself
+    return axios.post(tokenUrl, qs.stringify(body), {
+      adapter: client.defaults.adapter,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }).then(({ data }) => {
+      const tokens = {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || body.refresh_token,
+        expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+      };
+      if (onRefresh) onRefresh(tokens, session);
+      return {
+        token: tokens.accessToken,
+        expiresAt: tokens.expiresAt,
+        credentials: { ...credentials, refreshToken: tokens.refreshToken }
+      };
+    });
+  };
+
+  const canRefresh = session => Boolean((session.credentials && session.credentials.refreshToken) || refreshToken);
+
+  return {
+    name: 'oauth2',
+    csrf: false,
+    authorize(session, client) {
+      const sessionExpiresAt = session.expiresAt || expiresAt;
+      const expiring = !session.token || (sessionExpiresAt && sessionExpiresAt - refreshMargin <= Date.now());
+      const refreshing = expiring && canRefresh(session)
+        ? session.refresh(() => exchange(session, client))
+        : Promise.resolve();
+      return refreshing.then(() => (session.token ? { Authorization: `Bearer ${session.token}` } : {}));
+    },
+    refresh(session, client) {
+      return canRefresh(session) ? session.refresh(() => exchange(session, client)) : Promise.resolve(false);
+    },
+    isCurrent: (session, headers) => headers.Authorization === (session.token ? `Bearer ${session.token}` : undefined)
+  };
+};
+
+module.exports = { createCookieAuth, createApiKeyAuth, createOAuth2Auth, OAUTH2_TOKEN_URL };
@@ -0,0 +1,110 @@
+/** Options of the lookup */
+export interface BatchLoadOptions {
+  /** Account from which the batch is requested (selected by the pool by default) */
+  account?: string;
+  /** Timeout of the batch request (ms) */
+  timeout?: number;
+  /** Extra headers of the batch request */
+  headers?: { [name: string]: string };
+  /** Aborts this lookup (RbxAbortError), the batch is sent for the others */
+  signal?: AbortSignal;
+  /** Not supported: loaders return the items (the lookup is rejected) */
+  raw?: never;
+}
+
+/** Options of the loader */
+export interface BatchLoaderOptions<K> {
+  /** Name of the loader (for the error messages) */
+  name?: string;
+  /** Maximum number of keys in one call (100) */
+  maxBatchSize?: number;
+  /** Key identity (identical keys are loaded once) */
+  cacheKey?: (key: K) => string;
+}
+
+/**
+ * Collects single-item lookups made in the same tick of the event loop and loads them with one batch call
+ * (DataLoader style). Lookups with different options (account, timeout, headers) are sent separately
+ */
+export class BatchLoader<K = any, V = any> {
+  /**
+   * @param batch Loads the keys, returns the results in the order of the keys (Error - failed item)
+   */
+  constructor(batch: (keys: Array<K>, options: BatchLoadOptions) => Promise<Array<V | Error>>, options?: BatchLoaderOptions<K>);
+  name: string;
+  maxBatchSize: number;
+  /**
+   * Loads one item (RbxNotFoundError if it is absent in the response).
+   * If the whole batch fails, each lookup is rejected with its own copy of the error (cause - the shared one)
+   */
+  load(key: K, options?: BatchLoadOptions): Promise<V>;
+  /** Loads several items (Error instead of the failed ones) */
+  loadMany(keys: Array<K>, options?: BatchLoadOptions): Promise<Array<V | Error>>;
+}
+
+/** User of the Users API */
+export interface BatchUser {
+  id: number;
+  name: string;
+  displayName: string;
+  hasVerifiedBadge?: boolean;
+}
+
+/** User found by name */
+export interface BatchUsername extends BatchUser {
+  requestedUsername: string;
+}
+
+/** Thumbnail target */
+export interface ThumbnailTarget {
+  targetId: number;
+  /** AvatarHeadShot by default */
+  type?: string;
+  /** 150x150 by default */
+  size?: string;
+  /** Png by default */
+  format?: string;
+  isCircular?: boolean;
+}
+
+/** Thumbnail of the Thumbnails API */
+export interface BatchThumbnail {
+  requestId: string;
+  targetId: number;
+  /** Completed, Pending, Blocked, etc */
+  state: string;
+  imageUrl: string | null;
+  errorCode?: number;
+  errorMessage?: string;
+}
+
+/** Presence of the user */
+export interface BatchPresence {
+  userId: number;
+  /** 0 - offline, 1 - online, 2 - in game, 3 - in studio */
+  userPresenceType: number;
+  lastLocation: string;
+  placeId: number | null;
+  rootPlaceId: number | null;
+  gameId: string | null;
+  universeId: number | null;
+  lastOnline?: string;
+}
+
+/**
+ * Loaders of the Roblox batch endpoints. Batching is opt-in: only these loaders coalesce lookups,
+ * the generated single-item methods always send their own request
+ */
+export interface BatchLoaders {
+  /** Users by ID */
+  users: BatchLoader<number, BatchUser>;
+  /** Users by name, case-insensitive */
+  usernames: BatchLoader<string, BatchUsername>;
+  /** Thumbnails by target (or ID of the user), failed thumbnails are rejected with RbxApiError */
+  thumbnails: BatchLoader<ThumbnailTarget | number, BatchThumbnail>;
+  /** Presence of users by ID */
+  presence: BatchLoader<number, BatchPresence>;
+}
+
+/** Creates the loaders of the Roblox batch endpoints */
+export function createBatchLoaders(client: import('./client').RbxAxiosInstance): BatchLoaders;
@@ -0,0 +1,226 @@
+const { RbxApiError, RbxNotFoundError, RbxAbortError } = require('./errors');
+
+/**
+ * Copies the error of the whole batch for one lookup, so that the callers do not share one object
+ * @param  {*} error Error of the batch
+ * @param  {*} key   Key of the lookup
+ * @return {*}       Error of the same class with the same fields (cause - the error of the batch)
+ */
+const copyBatchError = (error, key) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const copy = Object.create(Object.getPrototypeOf(error), Object.getOwnPropertyDescriptors(error));
+  copy.cause = error;
+  copy.key = key;
+  return copy;
+};
+
+/**
+ * Collects single-item lookups made in the same tick of the event loop and loads them with one batch call
+ * (DataLoader style). Lookups with different options (account, timeout, headers) are sent separately
+ */
+class BatchLoader {
+  /**
+   * @param {function(Array, Object):Promise<Array>} batch                  Loads the keys ({ account, timeout, headers }), returns the results
+   *                                                                          in the order of the keys (Error - failed item)
+   * @param {Object}                                 [options]              Loader options
+   * @param {string}                                 [options.name]         Name of the loader (for the error messages)
+   * @param {number}                                 [options.maxBatchSize] Maximum number of keys in one call (100)
+   * @param {function(*):string}                     [options.cacheKey]     Key identity (identical keys are loaded once)
+   */
+  constructor(batch, { name = 'batch', maxBatchSize = 100, cacheKey = key => String(key) } = {}) {
+    this.batch = batch;
+    this.name = name;
+    this.maxBatchSize = maxBatchSize;
+    this.cacheKey = cacheKey;
+    // Lookups waiting for the dispatch ({ [options]: { options, lookups: Map<cacheKey, { key, promise, resolve, reject }> } })
+    this.queues = new Map();
+  }
+
+  /**
+   * Loads one item
+   * @param  {*}               key               Key of the item (ID, name, etc)
+   * @param  {Object}          [options]         Lookup options
+   * @param  {string}          [options.account] Account from which the batch is requested
+   * @param  {number}          [options.timeout] Timeout of the batch request (ms)
+   * @param  {Object}          [options.headers] Extra headers of the batch request
+   * @param  {AbortSignal}     [options.signal]  Aborts this lookup (RbxAbortError), the batch is sent for the others
+   * @return {Promise<Object>}                   Item (RbxNotFoundError if it is absent in the response)
+   */
+  load(key, { account, timeout, headers, signal, raw } = {}) {
+    if (raw) {
+      return Promise.reject(new Error(`Loader "${this.name}" returns the items, the "raw" option is not supported`));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new RbxAbortError(`${this.name}: Request aborted`));
+    }
+    if (!this.queues.size) {
+      // All lookups of the current tick are dispatched together
+      setImmediate(() => this.dispatch());
+    }
+    // Only the lookups with the same options share a batch
+    const options = {
+      account: account || undefined,
+      ...(timeout != null ? { timeout } : {}),
+      ...(headers ? { headers } : {})
+    };
+    const queueKey = JSON.stringify([options.account, timeout, headers]);
+    if (!this.queues.has(queueKey)) {
+      this.queues.set(queueKey, { options, lookups: new Map() });
+    }
+    const queue = this.queues.get(queueKey).lookups;
+
+    const id = this.cacheKey(key);
+    if (!queue.has(id)) {
+      // Callers that have not aborted the lookup (a lookup without them is not sent)
+      const lookup = { key, callers: 0 };
+      lookup.promise = new Promise((resolve, reject) => Object.assign(lookup, { resolve, reject }));
+      queue.set(id, lookup);
+    }
+    const lookup = queue.get(id);
+    lookup.callers++;
+    if (!signal) {
+      return lookup.promise;
+    }
+
+    // Identical keys share the lookup, so only the promise of this caller is rejected
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        lookup.callers--;
+        reject(new RbxAbortError(`${this.name}: Request aborted`));
+      };
+      const settle = (done, value) => {
+        signal.removeEventListener('abort', onAbort);
+        done(value);
+      };
+      signal.addEventListener('abort', onAbort);
+      lookup.promise.then(item => settle(resolve, item), error => settle(reject, error));
+    });
+  }
+
+  /**
+   * Loads several items
+   * @param  {Array}                  keys      Keys of the items
+   * @param  {Object}                 [options] Lookup options (see load)
+   * @return {Promise<Array<Object>>}           Items in the order of the keys (Error instead of the failed ones)
+   */
+  loadMany(keys, options) {
+    return Promise.all(keys.map(key => this.load(key, options).catch(error => error)));
+  }
+
+  /** Sends the collected lookups, split into calls of at most maxBatchSize keys */
+  dispatch() {
+    const queues = this.queues;
+    this.queues = new Map();
+
+    for (let { options, lookups: queue } of queues.values()) {
+      const lookups = Array.from(queue.values()).filter(lookup => lookup.callers > 0);
+      for (let start = 0; start < lookups.length; start += this.maxBatchSize) {
+        this.send(lookups.slice(start, start + this.maxBatchSize), options);
+      }
+    }
+  }
+
+  /**
+   * Loads one batch and fans the results out to the lookups
+   * @param {Array<Object>} lookups Lookups ({ key, resolve, reject })
+   * @param {Object}        options Options of the lookups ({ account, timeout, headers }, account undefined - selected by the pool)
+   */
+  send(lookups, options) {
+    const keys = lookups.map(lookup => lookup.key);
+    Promise.resolve()
+      .then(() => this.batch(keys, options))
+      .then(results => {
+        if (!Array.isArray(results) || results.length !== keys.length) {
+          throw new Error(`Loader "${this.name}" must return an array of ${keys.length} results`);
+        }
+        lookups.forEach((lookup, index) => {
+          const result = results[index];
+          if (result instanceof Error) {
+            lookup.reject(result);
+          } else {
+            lookup.resolve(result);
+          }
+        });
+      })
+      // The error of the whole batch is the error of each lookup (each one gets its own copy)
+      .catch(error => lookups.forEach(lookup => lookup.reject(copyBatchError(error, lookup.key))));
+  }
+}
+
+/**
+ * Arranges the items of the response in the order of the keys
+ * @param  {string}        name     Name of the loader
+ * @param  {Array}         keys     Requested keys
+ * @param  {Array<Object>} items    Items of the response
+ * @param  {function}      getKey   Key of the item
+ * @param  {function}      [toKey]  Key of the requested key (the key itself by default)
+ * @return {Array<Object>}          Items (RbxNotFoundError instead of the absent ones)
+ */
+const matchItems = (name, keys, items, getKey, toKey = key => key) => {
+  const found = new Map();
+  for (let item of items || []) {
+    found.set(String(getKey(item)).toLowerCase(), item);
+  }
+  return keys.map(key => {
+    const item = found.get(String(toKey(key)).toLowerCase());
+    return item || new RbxNotFoundError(`${name}: "${toKey(key)}" not found`, {}, key);
+  });
+};
+
+// Defaults of the thumbnails (the same as of the Thumbnails API)
+const THUMBNAIL_DEFAULTS = { type: 'AvatarHeadShot', size: '150x150', format: 'Png', isCircular: false };
+
+/**
+ * Builds the request of the thumbnail
+ * @param  {Object|number} target Target ({ targetId, type, size, format, isCircular }) or ID of the user
+ * @return {Object}               Request of the Thumbnails API (with requestId)
+ */
+const toThumbnailRequest = target => {
+  const request = { ...THUMBNAIL_DEFAULTS, ...(typeof(target) === 'object' ? target : { targetId: target }) };
+  const { targetId, type, size, format, isCircular } = request;
+  return { ...request, requestId: `${targetId}:${type}:${size}:${format}:${isCircular}` };
+};
+
+/**
+ * Creates the loaders of the Roblox batch endpoints
+ * @param  {AxiosInstance} client Client for web requests
+ * @return {Object}               Loaders ({ users, usernames, thumbnails, presence })
+ */
+const createBatchLoaders = client => ({
+  /** Users by ID (https://users.roblox.com/v1/users) */
+  users: new BatchLoader((userIds, options) => {
+    return client.post('https://users.roblox.com/v1/users', { userIds, excludeBannedUsers: false }, options)
+      .then(body => matchItems('users', userIds, body.data, user => user.id));
+  }, { name: 'users', maxBatchSize: 100 }),
+
+  /** Users by name, case-insensitive (https://users.roblox.com/v1/usernames/users) */
+  usernames: new BatchLoader((usernames, options) => {
+    return client.post('https://users.roblox.com/v1/usernames/users', { usernames, excludeBannedUsers: false }, options)
+      .then(body => matchItems('usernames', usernames, body.data, user => user.requestedUsername));
+  }, { name: 'usernames', maxBatchSize: 100, cacheKey: username => String(username).toLowerCase() }),
+
+  /**
+   * Thumbnails by target ({ targetId, type, size, format, isCircular } or ID of the user),
+   * failed thumbnails are rejected with RbxApiError (https://thumbnails.roblox.com/v1/batch)
+   */
+  thumbnails: new BatchLoader((targets, options) => {
+    return client.post('https://thumbnails.roblox.com/v1/batch', targets.map(toThumbnailRequest), options)
+      .then(body => matchItems('thumbnails', targets, body.data, item => item.requestId, target => toThumbnailRequest(target).requestId))
+      .then(items => items.map(item => {
+        if (item instanceof Error || !item.errorCode) return item;
+        return new RbxApiError(`thumbnails: ${item.errorMessage || `error ${item.errorCode}`}`, {
+          errors: [{ code: item.errorCode, message: item.errorMessage }]
+        });
+      }));
+  }, { name: 'thumbnails', maxBatchSize: 100, cacheKey: target => toThumbnailRequest(target).requestId }),
+
+  /** Presence of users by ID (https://presence.roblox.com/v1/presence/users) */
+  presence: new BatchLoader((userIds, options) => {
+    return client.post('https://presence.roblox.com/v1/presence/users', { userIds }, options)
+      .then(body => matchItems('presence', userIds, body.userPresences, presence => presence.userId));
+  }, { name: 'presence', maxBatchSize: 50 })
+});
+
+module.exports = { BatchLoader, createBatchLoaders };
@@ -0,0 +1,68 @@
+import { AxiosRequestConfig } from 'axios';
+import { Plugin } from './plugins';
+
+/** Cached response */
+export interface CacheEntry {
+  /** Data of the response (the callers receive copies of it) */
+  data: any;
+  status: number;
+  headers: { [name: string]: string };
+  /** ETag of the response (for revalidation with If-None-Match) */
+  etag: string | null;
+  /** Time after which the response is revalidated or requested again (ms) */
+  expiresAt: number;
+  /** Method (Users.v1.Authenticated), null for direct requests */
+  operation: string | null;
+  url: string;
+  account: string;
+}
+
+/** Storage of cached responses */
+export interface CacheStore {
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  keys(): Promise<Array<string>>;
+  clear(): Promise<void>;
+}
+
+/** Stores cached responses in memory, the least recently used ones are evicted */
+export class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  maxEntries: number;
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  keys(): Promise<Array<string>>;
+  clear(): Promise<void>;
+}
+
+/** Cache options */
+export interface CacheOptions {
+  /** Default TTL in ms (60000), 0 - always revalidate */
+  ttl?: number;
+  /** TTL of APIs, versions and methods ({ 'Users': 300000, 'Groups.v1.Groups': 10000, 'Chat': false }) */
+  rules?: { [name: string]: number | false };
+  /** Storage, MemoryCacheStore by default */
+  store?: CacheStore;
+  /** Maximum number of responses of the default store (1000) */
+  maxEntries?: number;
+}
+
+/** Filter of invalidated responses: method or its prefix ('Users', 'Groups.v1.Groups'), address prefix, or function */
+export type CacheFilter = string | ((entry: CacheEntry) => boolean);
+
+/** Cache of GET responses */
+export interface CachePlugin extends Plugin {
+  store: CacheStore;
+  /** Deletes the cached responses, returns their number */
+  invalidate(filter: CacheFilter): Promise<number>;
+  /** Deletes all cached responses */
+  clear(): Promise<void>;
+}
+
+/** Creates the cache of GET responses (TTL rules, ETag revalidation, deduplication of requests in progress) */
+export function createCachePlugin(options?: CacheOptions): CachePlugin;
+
+/** Builds the key of the request (account, address and sorted parameters) */
+export function getCacheKey(config: AxiosRequestConfig): string;
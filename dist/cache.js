@@ -0,0 +1,296 @@
+const qs = require('qs');
+const { createAbortReason } = require('./call-options');
+
+// Time during which responses are served without requests (ms), unless the rules say otherwise
+const DEFAULT_TTL = 60000;
+
+/** Stores cached responses in memory, the least recently used ones are evicted */
+class MemoryCacheStore {
+  /**
+   * @param {Object} [options]            Store options
+   * @param {number} [options.maxEntries] Maximum number of responses (1000 by default)
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    // Map keeps the insertion order, so the first key is the least recently used one
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the cached response
+   * @param  {string}          key Cache key
+   * @return {Promise<Object>}     Entry or null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // Move to the end (recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Saves the response
+   * @param {string} key   Cache key
+   * @param {Object} entry Entry ({ data, status, headers, etag, expiresAt, operation, url, account })
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Deletes the response
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Keys of all responses
+   * @return {Promise<Array<string>>}
+   */
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /** Deletes all responses */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Builds the key of the request (account, address and sorted parameters)
+ * @param  {Object} config Request config
+ * @return {string}        Cache key
+ */
+const getCacheKey = config => {
+  const params = qs.stringify(config.params || {}, {
+    arrayFormat: 'repeat',
+    sort: (a, b) => a.localeCompare(b)
+  });
+  return `${config.account} ${config.url}${params ? `?${params}` : ''}`;
+};
+
+/**
+ * Copies the data of the response, so that the callers cannot change the cached one and each other's
+ * @param  {*} data Data of the response (parsed JSON, string or Buffer)
+ * @return {*}      Copy of the data
+ */
+const copyData = data => {
+  if (Buffer.isBuffer(data)) {
+    return Buffer.from(data);
+  }
+  return data !== null && typeof(data) === 'object' ? JSON.parse(JSON.stringify(data)) : data;
+};
+
+/**
+ * Waits for the response of the identical request in progress
+ * @param  {Object}  pending Request in progress ({ promise, resolve })
+ * @param  {Object}  config  Config of the waiting request
+ * @return {Promise}         Response (undefined - the waiting request is sent itself),
+ *                           rejected at once if the waiting request is cancelled (its own signal or cancelToken)
+ */
+const waitForInflight = (pending, config) => new Promise((resolve, reject) => {
+  const { signal } = config;
+  if (signal && signal.aborted) {
+    reject(createAbortReason(config));
+    return;
+  }
+
+  const onAbort = () => reject(createAbortReason(config));
+  if (signal) signal.addEventListener('abort', onAbort);
+  if (config.cancelToken) {
+    config.cancelToken.promise.then(reject);
+  }
+  pending.promise.then(response => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve(response);
+  });
+});
+
+/**
+ * Selects the TTL of the method: the most specific rule ('Groups.v1.Groups', 'Groups.v1', 'Groups') or the default
+ * @param  {Object}         rules      TTL rules ({ [API, version or method]: ms | false })
+ * @param  {number}         defaultTtl Default TTL
+ * @param  {string}         operation  Method (null for direct requests)
+ * @return {number|boolean}            TTL (false - do not cache)
+ */
+const getTtl = (rules, defaultTtl, operation) => {
+  if (operation) {
+    const parts = operation.split('.');
+    for (let length = parts.length; length > 0; length--) {
+      const name = parts.slice(0, length).join('.');
+      if (name in rules) return rules[name];
+    }
+  }
+  return defaultTtl;
+};
+
+/**
+ * Checks whether the entry matches the invalidation filter
+ * @param  {Object}          entry  Entry
+ * @param  {string|function} filter Method or its prefix ('Users', 'Groups.v1.Groups'), address prefix, or function(entry)
+ * @return {Boolean}
+ */
+const matchesFilter = (entry, filter) => {
+  if (typeof(filter) === 'function') {
+    return Boolean(filter(entry));
+  }
+  const operation = entry.operation || '';
+  return operation === filter || operation.startsWith(`${filter}.`) || entry.url.startsWith(filter);
+};
+
+/**
+ * Cache of GET responses. Fresh responses are returned without requests, outdated ones
+ * are revalidated with If-None-Match (if the server has returned an ETag),
+ * identical requests in progress are sent once
+ * @param  {Object} [options]            Cache options
+ * @param  {number} [options.ttl]        Default TTL in ms (60000)
+ * @param  {Object} [options.rules]      TTL of APIs, versions and methods ({ 'Users': 300000, 'Chat': false })
+ * @param  {Object} [options.store]      Storage (get, set, delete, keys, clear), MemoryCacheStore by default
+ * @param  {number} [options.maxEntries] Maximum number of responses of the default store
+ * @return {Object}                      Plugin with the invalidate() and clear() methods
+ */
+const createCachePlugin = ({ ttl = DEFAULT_TTL, rules = {}, store = null, maxEntries } = {}) => {
+  const cacheStore = store || new MemoryCacheStore({ maxEntries });
+  // Requests in progress ({ [key]: { promise, resolve } })
+  const inflight = new Map();
+
+  /**
+   * Completes the request in progress, the waiting ones receive its response (undefined - they are sent themselves)
+   * @param {Object} context    Request context
+   * @param {Object} [response] Response ({ data, status, headers })
+   */
+  const settleInflight = (context, response) => {
+    const pending = inflight.get(context.state.cacheKey);
+    if (pending && context.config.cacheKey === context.state.cacheKey) {
+      inflight.delete(context.state.cacheKey);
+      // The waiting ones copy the data of this snapshot (the caller of the request can change its own)
+      pending.resolve(response && { data: copyData(response.data), status: response.status, headers: response.headers });
+    }
+  };
+
+  return {
+    name: 'cache',
+    store: cacheStore,
+
+    async beforeRequest(context) {
+      const { config } = context;
+      const methodTtl = getTtl(rules, ttl, context.operation);
+      if (context.verb !== 'GET' || config.cache === false || methodTtl === false) {
+        return undefined;
+      }
+
+      const key = getCacheKey(config);
+      context.state.cacheKey = key;
+      context.state.cacheTtl = methodTtl;
+
+      const entry = await cacheStore.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { data: copyData(entry.data), status: entry.status, headers: entry.headers };
+      }
+
+      // Repeats of the request itself (retries, cookie refresh) do not wait for themselves
+      if (config.cacheKey !== key) {
+        // If the request in progress fails, one of the waiting ones is sent instead
+        let pending;
+        while ((pending = inflight.get(key))) {
+          const response = await waitForInflight(pending, config);
+          if (response !== undefined) {
+            return { ...response, data: copyData(response.data) };
+          }
+        }
+        let resolve;
+        const promise = new Promise(done => resolve = done);
+        inflight.set(key, { promise, resolve });
+        // Custom keys are kept in the config of repeated requests
+        config.cacheKey = key;
+      }
+
+      if (entry && entry.etag) {
+        // The server answers 304 if the response has not changed
+        context.state.cacheEntry = entry;
+        config.headers = { ...config.headers, 'If-None-Match': entry.etag };
+        config.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+      } else if (entry) {
+        await cacheStore.delete(key);
+      }
+      return undefined;
+    },
+
+    async afterResponse(context, response) {
+      const { cacheKey, cacheTtl, cacheEntry } = context.state;
+      if (!cacheKey) {
+        return undefined;
+      }
+      // Responses of plugins (including the cache itself) are not cached
+      if (context.shortCircuitedBy) {
+        settleInflight(context, response);
+        return undefined;
+      }
+
+      // The stored response is still valid: it is returned with its status and headers (updated by the server)
+      const revalidated = response.status === 304 && cacheEntry;
+      const result = revalidated
+        ? { ...response, data: copyData(cacheEntry.data), status: cacheEntry.status, headers: { ...cacheEntry.headers, ...response.headers } }
+        : response;
+
+      const etag = result.headers.etag || (revalidated ? cacheEntry.etag : null);
+      // Without an ETag, the response cannot be revalidated, so with TTL 0 it is not kept
+      if (cacheTtl > 0 || etag) {
+        await cacheStore.set(cacheKey, {
+          data: copyData(result.data),
+          status: result.status,
+          headers: result.headers,
+          etag,
+          expiresAt: Date.now() + cacheTtl,
+          operation: context.operation,
+          url: context.url,
+          account: context.account
+        });
+      }
+
+      settleInflight(context, result);
+      return result === response ? undefined : result;
+    },
+
+    onError(context) {
+      // The waiting requests are sent themselves (with their own error handling)
+      if (context.state.cacheKey) {
+        settleInflight(context, undefined);
+      }
+      return undefined;
+    },
+
+    /**
+     * Deletes the cached responses
+     * @param  {string|function} filter Method or its prefix ('Users', 'Groups.v1.Groups'), address prefix, or function(entry)
+     * @return {Promise<number>}        Number of deleted responses
+     */
+    async invalidate(filter) {
+      let count = 0;
+      for (let key of await cacheStore.keys()) {
+        const entry = await cacheStore.get(key);
+        if (entry && matchesFilter(entry, filter)) {
+          await cacheStore.delete(key);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    /** Deletes all cached responses */
+    clear() {
+      return cacheStore.clear();
+    }
+  };
+};
+
+module.exports = { MemoryCacheStore, createCachePlugin, getCacheKey };
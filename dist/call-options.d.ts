@@ -0,0 +1,31 @@
+import { AxiosRequestConfig, Cancel } from 'axios';
+import { AccountSelector, Session } from './sessions';
+
+/** Options of one call of an API method (the second argument of the generated methods) */
+export interface CallOptions {
+  /** Aborts the request (RbxAbortError) */
+  signal?: AbortSignal;
+  /** Timeout of each attempt of the request (ms) */
+  timeout?: number;
+  /** Extra headers (they replace the headers of the method) */
+  headers?: { [name: string]: string };
+  /** Account (ID) or a function that selects its session from the list */
+  account?: AccountSelector;
+  /** Session of the pool from which the request is sent (instead of account) */
+  session?: Session;
+  /** Return { status, headers, data } instead of the data */
+  raw?: boolean;
+}
+
+/** Result of a raw call */
+export interface RawResponse<T = any> {
+  status: number;
+  headers: { [name: string]: string };
+  data: T;
+}
+
+/** Applies the options of one call of an API method to its request config */
+export function applyCallOptions(config: AxiosRequestConfig, options?: CallOptions): AxiosRequestConfig;
+
+/** Creates the cancellation of the request by its AbortSignal (it is rejected as RbxAbortError) */
+export function createAbortReason(config: AxiosRequestConfig): Cancel & { config: AxiosRequestConfig };
@@ -0,0 +1,43 @@
+const axios = require('axios');
+
+/**
+ * Creates the cancellation of the request by its AbortSignal (it is rejected as RbxAbortError)
+ * @param  {Object} config Request config
+ * @return {Cancel}        Axios cancellation with the config
+ */
+const createAbortReason = config => {
+  const reason = new axios.Cancel('Request aborted');
+  reason.config = config;
+  return reason;
+};
+
+/**
+ * Applies the options of one call of an API method to its request config
+ * @param  {Object}          config            Request config of the method
+ * @param  {Object}          [options]         Call options (other options of the method are ignored)
+ * @param  {AbortSignal}     [options.signal]  Aborts the request (RbxAbortError)
+ * @param  {number}          [options.timeout] Timeout of each attempt of the request (ms)
+ * @param  {Object}          [options.headers] Extra headers (they replace the headers of the method)
+ * @param  {string|function} [options.account] Account (ID) or a function that selects its session from the list
+ * @param  {Session}         [options.session] Session of the pool from which the request is sent
+ * @param  {Boolean}         [options.raw]     Return { status, headers, data } instead of the data
+ * @return {Object}                            Request config
+ */
+const applyCallOptions = (config, options = {}) => {
+  const { signal, timeout, headers, account, session, raw } = options || {};
+  if (account != null && session) {
+    throw new Error('Options "account" and "session" cannot be used together');
+  }
+
+  return {
+    ...config,
+    ...(headers ? { headers: { ...config.headers, ...headers } } : {}),
+    ...(signal ? { signal } : {}),
+    ...(timeout != null ? { timeout } : {}),
+    ...(account != null ? { account } : {}),
+    ...(session ? { account: session.id } : {}),
+    ...(raw ? { raw: true } : {})
+  };
+};
+
+module.exports = { applyCallOptions, createAbortReason };
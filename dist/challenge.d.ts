@@ -0,0 +1,51 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+
+/** Challenge (captcha, 2-step verification, etc) returned instead of the result */
+export interface Challenge {
+  /** rblx-challenge-id */
+  id: string;
+  /** rblx-challenge-type (twostepverification, captcha, generic, etc) */
+  type: string | null;
+  /** Decoded rblx-challenge-metadata */
+  metadata: any;
+}
+
+/** Challenge passed to the onChallenge handler */
+export interface ChallengeRequest extends Challenge {
+  /** Account that received the challenge */
+  account: string;
+  /** Method that received the challenge (Chat.v2.SendMessage), null for direct requests */
+  operation: string | null;
+  /** Config of the challenged request */
+  config: AxiosRequestConfig;
+}
+
+/** Solution of the challenge, the request is repeated with it */
+export interface ChallengeSolution {
+  /** Metadata for Roblox (verificationToken, etc), encoded to rblx-challenge-metadata */
+  metadata: any;
+  /** Challenge ID (the same as of the challenge by default) */
+  id?: string;
+  /** Challenge type (the same as of the challenge by default) */
+  type?: string;
+}
+
+/** Solves the challenge (null / undefined - not solved, the request is rejected with RbxChallengeError) */
+export type ChallengeHandler = (
+  challenge: ChallengeRequest
+) => Promise<ChallengeSolution | null | undefined | false> | ChallengeSolution | null | undefined | false;
+
+/** Headers of the challenge */
+export const CHALLENGE_HEADERS: { id: string; type: string; metadata: string };
+
+/** Decodes the challenge metadata (base64 JSON) */
+export function decodeMetadata(value: string | null | undefined): any;
+
+/** Encodes the challenge metadata for the header (base64 JSON) */
+export function encodeMetadata(metadata: any): string;
+
+/** Returns the challenge of the response (null if there is no challenge) */
+export function getChallenge(response: AxiosResponse | null | undefined): Challenge | null;
+
+/** Builds the headers with which the request is repeated after the challenge is solved */
+export function buildChallengeHeaders(challenge: Challenge, solution: ChallengeSolution): { [name: string]: string };
@@ -0,0 +1,68 @@
+// Headers with which Roblox asks to pass a challenge (captcha, 2-step verification, etc)
+// instead of returning the result. The same headers are sent back with the solution
+const CHALLENGE_HEADERS = {
+  id: 'rblx-challenge-id',
+  type: 'rblx-challenge-type',
+  metadata: 'rblx-challenge-metadata'
+};
+
+/**
+ * Decodes the challenge metadata (base64 JSON)
+ * @param  {string} value Header value
+ * @return {*}            Metadata (the value itself if it is not base64 JSON)
+ */
+const decodeMetadata = value => {
+  if (!value) return null;
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Encodes the challenge metadata for the header
+ * @param  {*}      metadata Metadata
+ * @return {string}          base64 JSON
+ */
+const encodeMetadata = metadata => Buffer.from(JSON.stringify(metadata), 'utf8').toString('base64');
+
+/**
+ * Returns the challenge of the response
+ * @param  {Object} response Server response
+ * @return {Object}          Challenge ({ id, type, metadata }), null if there is no challenge
+ */
+const getChallenge = response => {
+  const headers = response && response.headers;
+  if (!headers || !headers[CHALLENGE_HEADERS.id]) {
+    return null;
+  }
+  return {
+    id: headers[CHALLENGE_HEADERS.id],
+    type: headers[CHALLENGE_HEADERS.type] || null,
+    metadata: decodeMetadata(headers[CHALLENGE_HEADERS.metadata])
+  };
+};
+
+/**
+ * Builds the headers with which the request is repeated after the challenge is solved
+ * @param  {Object} challenge         Challenge ({ id, type, metadata })
+ * @param  {Object} solution          Solution returned by onChallenge
+ * @param  {*}      solution.metadata Metadata for Roblox (verificationToken, etc)
+ * @param  {string} [solution.id]     Challenge ID (the same as of the challenge by default)
+ * @param  {string} [solution.type]   Challenge type (the same as of the challenge by default)
+ * @return {Object}                   Headers
+ */
+const buildChallengeHeaders = (challenge, solution) => ({
+  [CHALLENGE_HEADERS.id]: solution.id || challenge.id,
+  [CHALLENGE_HEADERS.type]: solution.type || challenge.type,
+  [CHALLENGE_HEADERS.metadata]: encodeMetadata(solution.metadata || {})
+});
+
+module.exports = {
+  CHALLENGE_HEADERS,
+  decodeMetadata,
+  encodeMetadata,
+  getChallenge,
+  buildChallengeHeaders
+};
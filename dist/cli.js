@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const introspect = require('./introspect');
+
+// Options of the tool itself, the rest are method parameters
+const TOOL_OPTIONS = ['json', 'raw', 'cookie-file', 'max-items', 'page-size', 'out-dir'];
+
+// Options of the tool without values (the next argument is not taken as their value)
+const TOOL_FLAGS = ['raw'];
+
+const usage = `Usage: rbx-api <command> [arguments]
+
+Commands:
+  list [Api[.version]]        List APIs, versions or methods
+  show <Api.version.Method>   Show a method with its parameters
+  search <query>              Find methods by name, path or description
+  call <Api.version.Method>   Call a method and print the response as JSON
+
+Options:
+  --out-dir <path>            Directory of the built API (by default, the RBX_API_OUT_DIR environment variable,
+                              then "outDir" of rbx-api.config.js, then the directory of the package)
+
+Options of "call":
+  --<param> <value>           Method parameter (repeat for arrays)
+  --json <json | @file>       All parameters as a JSON object (or a file with it)
+  --raw                       Compact JSON (for piping)
+  --cookie-file <path>        File with the .ROBLOSECURITY cookie
+                              (by default, the ROBLOSECURITY environment variable)
+  --max-items <n>             Maximum number of items (Iterate... methods)
+  --page-size <n>             Number of items per request (Iterate... methods)
+
+Exit codes: 0 - success, 1 - error, 2 - wrong usage, 4 - HTTP 4xx, 5 - HTTP 5xx`;
+
+/** Error of wrong usage of the tool */
+class UsageError extends Error {}
+
+/**
+ * Finds the method in the manifest
+ * @param  {Object} manifest Manifest
+ * @param  {string} fullName Method name or alias (Chat.v2.SendMessage)
+ * @return {Object}          { api, version, method, signature }
+ */
+const findMethod = (manifest, fullName) => {
+  const found = introspect.findMethod(manifest, fullName);
+  if (!found) {
+    throw new UsageError(`Unknown method "${fullName}" (see "rbx-api list")`);
+  }
+  return found;
+};
+
+/**
+ * Splits command line arguments into positional ones and options
+ * @param  {Array<string>} argv Arguments
+ * @return {Object}             { positional, options } (repeated options are collected into arrays)
+ */
+const parseArgs = argv => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+    if (name.indexOf('=') !== -1) {
+      [name, value] = [name.slice(0, name.indexOf('=')), name.slice(name.indexOf('=') + 1)];
+    } else if (TOOL_FLAGS.indexOf(name) === -1 && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    } else {
+      // Flag without value
+      value = true;
+    }
+
+    options[name] = name in options ? [].concat(options[name], value) : value;
+  }
+
+  return { positional, options };
+};
+
+/**
+ * Converts a command line value to the type of the parameter
+ * @param  {string|boolean} value Value
+ * @param  {string}         type  Parameter type (number, Array<number>, etc)
+ * @return {*}                    Converted value
+ */
+const convertValue = (value, type) => {
+  const arrayMatch = type.match(/^Array<(.+)>$/);
+  if (arrayMatch) {
+    return [].concat(value).map(item => convertValue(item, arrayMatch[1]));
+  }
+  if (Array.isArray(value)) {
+    throw new UsageError(`Only one value is expected (${type})`);
+  }
+  if (type === 'number' || /^\(\d/.test(type)) {
+    if (isNaN(Number(value))) throw new UsageError(`"${value}" is not a number`);
+    // int64 identifiers that do not fit into a number are passed as strings (without losing precision)
+    if (/^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))) {
+      return String(value);
+    }
+    return Number(value);
+  }
+  if (type === 'boolean') {
+    return value === true || value === 'true';
+  }
+  if (type === 'string' || /^\("/.test(type)) {
+    return String(value);
+  }
+  // Objects, etc
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Collects method parameters from --json and --<param> options
+ * @param  {Object} signature Method signature (from the manifest)
+ * @param  {Object} options   Command line options
+ * @return {Object}           Method parameters
+ */
+const buildParams = (signature, options) => {
+  let params = {};
+
+  if (options.json) {
+    const json = String(options.json);
+    params = JSON.parse(json.startsWith('@') ? fs.readFileSync(json.slice(1), 'utf8') : json);
+  }
+
+  for (let [name, value] of Object.entries(options)) {
+    if (TOOL_OPTIONS.indexOf(name) !== -1) continue;
+    const param = signature.params.find(param => param.name === name);
+    if (!param) {
+      throw new UsageError(`Unknown parameter "--${name}" (see "rbx-api show")`);
+    }
+    params[name] = convertValue(value, param.type);
+  }
+
+  return params;
+};
+
+/**
+ * Reads the cookie from the file or the environment
+ * @param  {Object} options Command line options
+ * @return {string}         .ROBLOSECURITY cookie (undefined if not specified, the requests are not authorized)
+ */
+const readCookie = options => {
+  const file = options['cookie-file'] || process.env.ROBLOSECURITY_FILE;
+  if (file) {
+    return fs.readFileSync(file, 'utf8').trim() || undefined;
+  }
+  return process.env.ROBLOSECURITY || undefined;
+};
+
+/** rbx-api list [Api[.version]] */
+const list = (manifest, filter) => {
+  const [apiFilter, ...versionParts] = (filter || '').split('.');
+  const versionFilter = versionParts.join('.');
+
+  if (!apiFilter) {
+    for (let [name, api] of Object.entries(manifest.apis)) {
+      console.log(`${name} (${Object.keys(api.versions).join(', ')}) - ${api.description}`);
+    }
+    return;
+  }
+
+  const api = manifest.apis[apiFilter];
+  if (!api) throw new UsageError(`Unknown API "${apiFilter}"`);
+
+  for (let [version, methods] of Object.entries(api.versions)) {
+    if (versionFilter && version !== versionFilter) continue;
+    for (let [method, signature] of Object.entries(methods)) {
+      const deprecated = signature.deprecated ? ' (deprecated)' : '';
+      console.log(
+        `${apiFilter}.${version}.${method}  ${signature.verb} ${signature.path}${deprecated}\n` +
+        `    ${signature.description || 'No description'}`
+      );
+    }
+  }
+};
+
+/** rbx-api show <Api.version.Method> */
+const show = (manifest, fullName) => {
+  const { api, version, method, signature } = findMethod(manifest, fullName);
+
+  console.log(`${api}.${version}.${method}${signature.deprecated ? ' (deprecated)' : ''}`);
+  if (signature.aliases) {
+    console.log(`Aliases: ${signature.aliases.join(', ')}`);
+  }
+  console.log(`${signature.verb} ${signature.path}`);
+  console.log(signature.description || 'No description');
+  if (signature.params.length) {
+    console.log('\nParameters:');
+    for (let param of signature.params) {
+      const required = param.required ? ' (required)' : '';
+      console.log(`  --${param.name} <${param.type}> [${param.location}]${required} ${param.description || ''}`);
+    }
+  }
+};
+
+/** rbx-api search <query> */
+const search = (manifest, query) => {
+  if (!query) {
+    throw new UsageError('Specify the search query');
+  }
+  for (let method of introspect.search(manifest, query)) {
+    const deprecated = method.deprecated ? ' (deprecated)' : '';
+    console.log(
+      `${method.name}  ${method.verb} ${method.path}${deprecated}\n` +
+      `    ${method.description || 'No description'}`
+    );
+  }
+};
+
+/** rbx-api call <Api.version.Method> [options] */
+const call = async (manifest, fullName, options) => {
+  const { api, version, method, signature } = findMethod(manifest, fullName);
+  const params = buildParams(signature, options);
+  const { RbxApiClient } = require(path.join(introspect.resolveOutDir(options['out-dir']), 'index'));
+  const client = new RbxApiClient(readCookie(options), null);
+
+  let result;
+  if (signature.iterates) {
+    // All items of all pages
+    result = [];
+    const iterator = client[api][version][method](params, {
+      maxItems: options['max-items'] ? Number(options['max-items']) : undefined,
+      pageSize: options['page-size'] ? Number(options['page-size']) : undefined
+    });
+    for await (let item of iterator) {
+      result.push(item);
+    }
+  } else {
+    result = await client[api][version][method](params);
+  }
+
+  const output = options.raw ? JSON.stringify(result) : JSON.stringify(result, null, 2);
+  process.stdout.write(`${output === undefined ? 'null' : output}\n`);
+};
+
+/** Main tool function */
+const main = async () => {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, target] = positional;
+
+  if (!command || command === 'help' || options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const manifest = introspect.readManifest(introspect.resolveManifestPath(options['out-dir']));
+  if (command === 'list') {
+    list(manifest, target);
+  } else if (command === 'show') {
+    show(manifest, target);
+  } else if (command === 'search') {
+    search(manifest, positional.slice(1).join(' '));
+  } else if (command === 'call') {
+    await call(manifest, target, options);
+  } else {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+};
+
+main().catch(err => {
+  if (err.name === 'RbxValidationError') {
+    // Parameters are also a part of the usage
+    console.error(err.message);
+    process.exitCode = 2;
+  } else if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${usage}`);
+    process.exitCode = 2;
+  } else if (err.status) {
+    // The HTTP error itself is printed as JSON, so that it can be processed
+    console.error(JSON.stringify({
+      status: err.status,
+      message: err.message,
+      errors: err.errors,
+      requestId: err.requestId,
+      data: err.response ? err.response.data : null
+    }));
+    process.exitCode = err.status >= 500 ? 5 : 4;
+  } else {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,135 @@
+import { AxiosInstance } from 'axios';
+import { SessionPool, AccountSelector } from './sessions';
+import { ChallengeHandler } from './challenge';
+import { Plugin } from './plugins';
+import { CacheOptions, CachePlugin } from './cache';
+import { AuthStrategy } from './auth';
+import { BatchLoaders } from './batch';
+import { EventPoller, EventOptions } from './events';
+
+/**
+ * returns configured axios instance
+ * @param token          Authorization token (.ROBLOSECURITY, API key or OAuth2 access token)
+ * @param [refreshToken] Callback function that will be called in case of token expiration
+ * @param [options]      Client options
+ * @return               Will return the configured Axios instance
+ */
+declare function createClient(
+  token: string | null,
+  refreshToken?: (() => Promise<string>) | null,
+  options?: createClient.ClientOptions
+): createClient.RbxAxiosInstance;
+
+declare namespace createClient {
+  /** Retry rule (for all errors or for a specific status) */
+  interface RetryRule {
+    /** Maximum number of repetitions (3 by default) */
+    retries?: number;
+    /** Delay before the first repetition, ms (500 by default) */
+    minDelay?: number;
+    /** Maximum delay, ms (30000 by default) */
+    maxDelay?: number;
+    /** Delay multiplier for each next repetition (2 by default) */
+    factor?: number;
+    /** Random delay from 0 to the calculated one (true by default) */
+    jitter?: boolean;
+    /** If the server asks to wait longer (Retry-After, x-ratelimit-reset), then the error is not repeated */
+    maxRetryAfter?: number;
+    /** Methods that can be repeated after the server has received the request (idempotent by default) */
+    methods?: Array<string>;
+  }
+
+  /** Retry policy */
+  interface RetryOptions extends RetryRule {
+    /** Rules for statuses (429, 500, 502, 503 and 504 by default), false - do not repeat */
+    statuses?: { [status: number]: RetryRule | false };
+    /** Rule for errors without a response (connection errors, timeouts), false - do not repeat */
+    network?: RetryRule | false;
+  }
+
+  /** Limits of requests to one host */
+  interface HostLimits {
+    /** Maximum number of simultaneous requests */
+    concurrency?: number;
+    /** Requests per interval (token bucket capacity) */
+    tokens?: number;
+    /** Interval of the token bucket, ms */
+    interval?: number;
+  }
+
+  /** Limits of requests */
+  interface LimitOptions extends HostLimits {
+    /** Limits for specific hosts ({ 'chat.roblox.com': { ... } }) */
+    hosts?: { [host: string]: HostLimits };
+  }
+
+  /** Axios instance with the pool of account sessions */
+  interface RbxAxiosInstance extends AxiosInstance {
+    /** Pool of account sessions used by the client */
+    sessions: SessionPool;
+    /** Auth strategy of the accounts that do not have their own */
+    auth: AuthStrategy;
+    /** Plugins in the order of calling (challenges, X-CSRF and token refresh are plugins too) */
+    plugins: Array<Plugin>;
+    /** Adds a plugin to the end of the list */
+    use(plugin: Plugin): this;
+    /** Cache of GET responses (null if disabled) */
+    cache: CachePlugin | null;
+    /** Loaders that coalesce single-item lookups into the batch endpoints */
+    batch: BatchLoaders;
+    /** Events of the account activity (chatMessage, friendRequest, groupJoinRequest, tradeReceived), polled while handled */
+    events: EventPoller;
+  }
+
+  /** Client options */
+  interface ClientOptions {
+    /** Retry policy for throttled and failed requests (false - disable) */
+    retry?: RetryOptions | false;
+    /** Per-host concurrency and token bucket limits */
+    limits?: LimitOptions;
+    /** Pool of accounts (instead of token and refreshToken) */
+    sessions?: SessionPool;
+    /** Path to the file where request/response pairs will be saved */
+    record?: string;
+    /** Path to the file with the recorded pairs (no real requests) */
+    replay?: string;
+    /** Replacements of addresses ({ 'https://chat.roblox.com': 'http://localhost:8080/chat.roblox.com' }) */
+    baseURLs?: { [origin: string]: string };
+    /** API classes to load in advance (true - all), by default they are loaded on first access */
+    preload?: boolean | Array<string>;
+    /** Check the parameters of API methods before requests are sent (true by default) */
+    validate?: boolean;
+    /** Path to the API manifest for describe, search and call (the one next to the index by default) */
+    manifest?: string;
+    /**
+     * Solves challenges (captcha, 2-step verification, etc) that Roblox returns instead of the result.
+     * The request is repeated with the returned solution
+     */
+    onChallenge?: ChallengeHandler;
+    /** Plugins (beforeRequest, afterResponse, onError), called after the built-in ones */
+    plugins?: Array<Plugin>;
+    /** Cache of GET responses (true - default settings) */
+    cache?: boolean | CacheOptions;
+    /** Auth strategy (cookie by default), accounts of the pool can have their own */
+    auth?: AuthStrategy;
+    /** Polling of the account activity (intervals, checkpoint store, groups of join requests) */
+    events?: EventOptions;
+  }
+}
+
+declare module 'axios' {
+  interface AxiosRequestConfig {
+    /** Account from which the request is sent (ID or function returning a session) */
+    account?: AccountSelector;
+    /** Method of the API that sends the request (Chat.v2.SendMessage), used in errors */
+    operation?: string;
+    /** false - do not use the cache for this request */
+    cache?: boolean;
+    /** Aborts the request (RbxAbortError) */
+    signal?: AbortSignal;
+    /** Return { status, headers, data } instead of the data */
+    raw?: boolean;
+  }
+}
+
+export = createClient;
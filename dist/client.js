@@ -0,0 +1,328 @@
+const axios = require('axios');
+const qs = require('qs');
+const settle = require('axios/lib/core/settle');
+const createLimiter = require('./limiter');
+const { SessionPool } = require('./sessions');
+const {
+  createRecordingAdapter,
+  createReplayAdapter,
+  createRedirectingAdapter
+} = require('./recorder');
+const { createRetryPolicy, getRetryAfter } = require('./retry');
+const { toRbxError, parseOperation, RbxAbortError } = require('./errors');
+const {
+  XCSRFEndpoint,
+  runBeforeRequest,
+  runAfterResponse,
+  runOnError,
+  createChallengePlugin,
+  createCsrfPlugin,
+  createAuthPlugin
+} = require('./plugins');
+const { createCachePlugin } = require('./cache');
+const { createBatchLoaders } = require('./batch');
+const { EventPoller } = require('./events');
+const { createCookieAuth } = require('./auth');
+const { getMultipartBody, prepareMultipart } = require('./multipart');
+const { createAbortReason } = require('./call-options');
+
+// Key of the request config under which the limiter slot is stored.
+// Symbols are not copied by Axios, so a repeated request gets its own slot
+const limiterSlot = Symbol('limiterSlot');
+
+// Key of the request config under which the plugin context of the request is stored
+const pluginContext = Symbol('pluginContext');
+
+// Key of the request config under which the unsubscription from its AbortSignal is stored
+const abortListener = Symbol('abortListener');
+
+/**
+ * Waits for the specified time
+ * @param  {number}  ms Time in ms
+ * @return {Promise}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * returns configured axios instance
+ * @param {string}                     token                 Authorization token (.ROBLOSECURITY, API key or OAuth2 access token)
+ * @param {function():Promise<string>} [refreshToken]        Callback function that will be called in case of token expiration
+ * @param {Object}                     [options]             Client options
+ * @param {Object|boolean}             [options.retry]       Retry policy for throttled and failed requests (false - disable)
+ * @param {Object}                     [options.limits]      Per-host concurrency and token bucket limits
+ * @param {SessionPool}                [options.sessions]    Pool of accounts (instead of token and refreshToken)
+ * @param {string}                     [options.record]      Path to the file where request/response pairs will be saved
+ * @param {string}                     [options.replay]      Path to the file with the recorded pairs (no real requests)
+ * @param {Object}                     [options.baseURLs]    Replacements of addresses ({ 'https://chat.roblox.com': 'http://localhost:8080/...' })
+ * @param {function(Object):Promise}   [options.onChallenge] Solves challenges (captcha, 2-step verification), returns { metadata }
+ * @param {Array<Object>}              [options.plugins]     Plugins (beforeRequest, afterResponse, onError), after the built-in ones
+ * @param {Object|boolean}             [options.cache]       Cache of GET responses (true - default settings)
+ * @param {Object}                     [options.auth]        Auth strategy (cookie by default, see auth.js), accounts can have their own
+ * @param {Object}                     [options.events]      Polling of the account activity (intervals, checkpoint store, groupIds, see events.js)
+ * @return {[AxiosInstance]}                                 Will return the configured Axios instance
+ */
+const createClient = (token, refreshToken, options = {}) => {
+  let sessions = options.sessions;
+  if (!sessions) {
+    // One account - a pool of one session
+    sessions = new SessionPool();
+    sessions.add({ id: 'default', token, refreshToken });
+  }
+
+  if (options.record && options.replay) {
+    throw new Error('Options "record" and "replay" cannot be used together');
+  }
+
+  // Requests are sent to the network (possibly to other addresses), or served from the fixtures
+  let adapter = axios.defaults.adapter;
+  if (options.replay) {
+    adapter = createReplayAdapter(options.replay);
+  } else {
+    if (options.baseURLs) adapter = createRedirectingAdapter(adapter, options.baseURLs);
+    if (options.record) adapter = createRecordingAdapter(adapter, options.record);
+  }
+
+  const client = axios.create({
+    adapter,
+    paramsSerializer: params => {
+      return qs.stringify(params, { arrayFormat: 'repeat' })
+    }
+  });
+
+  /** Pool of account sessions used by the client */
+  client.sessions = sessions;
+
+  /** Auth strategy of the accounts that do not have their own */
+  client.auth = options.auth || createCookieAuth();
+
+  /**
+   * Returns the auth strategy of the session
+   * @param  {Session} [session] Session
+   * @return {Object}            Strategy
+   */
+  const getAuth = session => (session && session.auth) || client.auth;
+
+  /** Cache of GET responses (null if disabled) */
+  client.cache = options.cache ? createCachePlugin(options.cache === true ? {} : options.cache) : null;
+
+  /** Plugins in the order of calling (challenges, X-CSRF and token refresh are plugins too) */
+  client.plugins = [
+    // The cache goes first, so that it sees the result of each request
+    ...(client.cache ? [client.cache] : []),
+    createChallengePlugin(options.onChallenge),
+    createCsrfPlugin(),
+    createAuthPlugin(),
+    ...(options.plugins || [])
+  ];
+
+  /**
+   * Adds a plugin to the end of the list
+   * @param  {Object}        plugin Plugin ({ name, beforeRequest, afterResponse, onError })
+   * @return {AxiosInstance}        The client itself
+   */
+  client.use = plugin => {
+    client.plugins.push(plugin);
+    return client;
+  };
+
+  /** Loaders that coalesce single-item lookups into the batch endpoints (users, usernames, thumbnails, presence) */
+  client.batch = createBatchLoaders(client);
+
+  /** Events of the account activity (chatMessage, friendRequest, groupJoinRequest, tradeReceived), polled while handled */
+  client.events = new EventPoller(client, options.events);
+
+  const limiter = createLimiter(options.limits);
+  const retryPolicy = createRetryPolicy(options.retry);
+
+  // Note: request interceptors are called in the reverse order (account, plugins, uploads, limits, abort)
+
+  // The AbortSignal of the call cancels the request (Axios 0.21 only has cancel tokens).
+  // Each attempt gets its own token, so an aborted signal also stops the repeated requests.
+  // The waiting for the limits and for the X-CSRF token is aborted by the signal itself
+  client.interceptors.request.use(config => {
+    const signal = config.signal;
+    if (!signal) {
+      return config;
+    }
+    let abort;
+    const cancelToken = new axios.CancelToken(cancel => {
+      abort = () => {
+        cancel('Request aborted');
+        // The cancellation of Axios does not have the config (for the errors and the limiter slot)
+        cancelToken.reason.config = config;
+      };
+    });
+    config.cancelToken = cancelToken;
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort);
+      config[abortListener] = () => signal.removeEventListener('abort', abort);
+    }
+    return config;
+  });
+
+  // Each request waits for the limits of its host (responses of plugins are not limited)
+  client.interceptors.request.use(config => {
+    if (config[pluginContext] && config[pluginContext].shortCircuitedBy) {
+      return config;
+    }
+    return limiter.acquire(config.url, config.signal).then(release => {
+      config[limiterSlot] = release;
+      return config;
+    }, err => {
+      throw config.signal && config.signal.aborted ? createAbortReason(config) : err;
+    });
+  });
+
+  // Multipart bodies get a new stream for each attempt of the request. It is prepared before the limits,
+  // so that a body that cannot be sent (a stream read before, a missing file) does not keep a slot.
+  // They are streamed without limits of the size. Redirects are not followed for them,
+  // because follow-redirects keeps the whole body in memory to send it again
+  client.interceptors.request.use(config => {
+    if (!getMultipartBody(config.data) || (config[pluginContext] && config[pluginContext].shortCircuitedBy)) {
+      return config;
+    }
+    config.maxRedirects = 0;
+    config.maxBodyLength = Infinity;
+    return prepareMultipart(config);
+  });
+
+  // Each request gets a context for the plugins, the beforeRequest hooks can respond instead of the server
+  client.interceptors.request.use(config => {
+    // Repeats of a short-circuited request (context.retry, retry policy) are sent to the network again
+    const adapter = (config.adapter && config.adapter.originalAdapter) || config.adapter;
+    config.adapter = adapter;
+    const context = {
+      operation: config.operation || null,
+      ...parseOperation(config.operation),
+      verb: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      config,
+      account: config.account,
+      session: sessions.get(config.account),
+      auth: getAuth(sessions.get(config.account)),
+      attempt: config.retryAttempt || 0,
+      startedAt: Date.now(),
+      shortCircuitedBy: null,
+      client,
+      /** Data of the plugins for this request */
+      state: {},
+      /** Repeats the request (with the changes of the config), returns its result */
+      retry: (changes = {}) => client.request({ ...config, adapter, ...changes })
+    };
+    config[pluginContext] = context;
+
+    return runBeforeRequest(client.plugins, context).then(response => {
+      if (response !== undefined) {
+        // The request is not sent, the response of the plugin is returned instead
+        const respond = () => new Promise((resolve, reject) => {
+          settle(resolve, reject, { status: 200, statusText: 'OK', headers: {}, ...response, config, request: null });
+        });
+        respond.originalAdapter = adapter;
+        config.adapter = respond;
+      }
+      return config;
+    });
+  });
+
+  // Attach the authorization headers (auth strategy) and an X-CSRF token of the selected account to every request.
+  // The account is specified in the request config (account: 'id' or function),
+  // otherwise it is selected by the pool policy
+  client.interceptors.request.use(config => {
+    if (config.signal && config.signal.aborted) {
+      return Promise.reject(createAbortReason(config));
+    }
+    return sessions.select(config.account).then(session => {
+      const auth = getAuth(session);
+      // Repeated requests are sent from the same account
+      config.account = session.id;
+      // A body with streams of the caller cannot be sent again after the X-CSRF token is rejected,
+      // so the token is requested before it
+      const body = getMultipartBody(config.data);
+      const needsToken = auth.csrf && !session.csrfToken && body && !body.isReplayable();
+      const prefetch = needsToken
+        ? client.post(XCSRFEndpoint, null, { account: session.id, signal: config.signal }).catch(err => {
+          throw config.signal && config.signal.aborted ? createAbortReason(config) : err;
+        })
+        : Promise.resolve();
+      return prefetch
+        .then(() => auth.authorize(session, client))
+        .then(headers => {
+          config.headers = { ...config.headers, ...headers };
+          if (auth.csrf && session.csrfToken) {
+            config.headers['X-CSRF-TOKEN'] = session.csrfToken;
+          }
+          return config;
+        });
+    });
+  });
+
+  /**
+   * Frees the limiter slot and pauses the host if the server reports that the limit is exhausted
+   * @param {Object} config   Request config
+   * @param {Object} response Server response (if any)
+   */
+  const completeRequest = (config, response) => {
+    if (config && config[limiterSlot]) {
+      config[limiterSlot]();
+      delete config[limiterSlot];
+    }
+    if (config && config[abortListener]) {
+      config[abortListener]();
+      delete config[abortListener];
+    }
+    if (config && response) {
+      if (response.status === 429 && sessions.get(config.account)) {
+        sessions.get(config.account).rateLimitedAt = Date.now();
+      }
+      const exhausted = response.status === 429 || response.headers['x-ratelimit-remaining'] === '0';
+      const retryAfter = getRetryAfter(response.headers);
+      if (exhausted && retryAfter) {
+        limiter.pause(config.url, retryAfter);
+      }
+    }
+  };
+
+  client.interceptors.response.use(res => {
+    completeRequest(res.config, res);
+    return res;
+  }, err => {
+    completeRequest(err.config, err.response);
+    return Promise.reject(err);
+  });
+
+  // Plugins receive the response (afterResponse) or the error (onError) of the request.
+  // If successful, return the information itself, without data about the request, etc
+  // (raw requests return the status and headers too)
+  client.interceptors.response.use(res => {
+    return runAfterResponse(client.plugins, res.config[pluginContext], res).then(response => {
+      return res.config.raw
+        ? { status: response.status, headers: response.headers, data: response.data }
+        : response.data;
+    });
+  }, err => {
+    const error = toRbxError(err);
+    const context = error.config && error.config[pluginContext];
+    // Errors before the request (for example, in the account selection) are not passed to the plugins
+    return context ? runOnError(client.plugins, context, error) : Promise.reject(error);
+  });
+
+  // Repeat throttled (429) and failed (5xx, network) requests with backoff
+  client.interceptors.response.use(null, err => {
+    // Aborted requests are not repeated
+    const delay = err instanceof RbxAbortError ? null : retryPolicy.getDelay(err);
+    if (delay === null) {
+      return Promise.reject(err);
+    }
+    const config = { ...err.config, retryAttempt: (err.config.retryAttempt || 0) + 1 };
+    return sleep(delay).then(() => client.request(config));
+  });
+
+  // All errors are rejected as RbxApiError (RbxAuthError, RbxRateLimitError, etc), including errors of the plugins
+  client.interceptors.response.use(null, err => Promise.reject(toRbxError(err)));
+
+  return client;
+};
+
+module.exports = createClient;
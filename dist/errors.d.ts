@@ -0,0 +1,101 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+import { ValidationIssue } from './validate';
+import { Challenge } from './challenge';
+
+/** Error from the body of the Roblox response */
+export interface RobloxErrorItem {
+  code: number;
+  message: string;
+  userFacingMessage?: string;
+  field?: string;
+}
+
+/** Details of the error (see RbxApiError) */
+export interface RbxErrorDetails {
+  operation?: string | null;
+  status?: number | null;
+  errors?: Array<unknown>;
+  code?: string | null;
+  config?: AxiosRequestConfig | null;
+  response?: AxiosResponse | null;
+  cause?: unknown;
+}
+
+/** Base class of all client errors (E - type of the items of "errors") */
+export class RbxApiError<E = RobloxErrorItem> extends Error {
+  constructor(message: string, details?: RbxErrorDetails);
+
+  /** Method that failed (Chat.v2.SendMessage), null for direct requests */
+  operation: string | null;
+  /** API name (Chat) */
+  api: string | null;
+  /** API version (v2) */
+  version: string | null;
+  /** Method name (SendMessage) */
+  method: string | null;
+  /** HTTP status (null if there is no response) */
+  status: number | null;
+  /** Errors from the body of the Roblox response */
+  errors: Array<E>;
+  /** Code of a network error (ECONNRESET, etc) */
+  code: string | null;
+  /** HTTP method (GET, POST, etc) */
+  verb: string | null;
+  url: string | null;
+  /** First of the request identifiers */
+  requestId: string | null;
+  /** All request identifiers returned by the server ({ header: value }) */
+  requestIds: { [header: string]: string };
+  /** Time in ms after which the request can be repeated (Retry-After, x-ratelimit-reset) */
+  retryAfter: number | null;
+  /** Can the request be repeated later (connection errors and timeouts, 429, 5xx) */
+  retryable: boolean;
+  /** Number of attempts made */
+  attempts: number;
+  /** Request config (not enumerable) */
+  readonly config: AxiosRequestConfig | null;
+  /** Server response (not enumerable) */
+  readonly response: AxiosResponse | null;
+  /** Original error (not enumerable) */
+  readonly cause: unknown;
+}
+
+/** The cookie is invalid or outdated (401) and could not be refreshed */
+export class RbxAuthError extends RbxApiError {}
+
+/** The request was throttled (429) and was not repeated (see retryAfter) */
+export class RbxRateLimitError extends RbxApiError {}
+
+/** The X-CSRF token could not be obtained or was rejected */
+export class RbxCsrfError extends RbxApiError {}
+
+/** Roblox asked to pass a challenge (captcha, 2-step verification, etc), and it was not solved */
+export class RbxChallengeError extends RbxApiError {
+  constructor(message: string, details: RbxErrorDetails | undefined, challenge: Challenge);
+
+  challenge: Challenge;
+}
+
+/** Invalid method parameters, the request was not sent (all invalid fields are listed in "errors") */
+export class RbxValidationError extends RbxApiError<ValidationIssue> {
+  constructor(operation: string, errors: Array<ValidationIssue>);
+}
+
+/** The item was not found (for example, it is absent in the response of a batch endpoint) */
+export class RbxNotFoundError extends RbxApiError {
+  constructor(message: string, details: RbxErrorDetails | undefined, key: unknown);
+
+  /** Key of the item (ID, name, etc) */
+  key: unknown;
+}
+
+/** The request was aborted with the AbortSignal of the call (it is not repeated) */
+export class RbxAbortError extends RbxApiError {
+  constructor(message: string, details?: RbxErrorDetails);
+}
+
+/** Checks whether the response is a rejection because of the X-CSRF token */
+export function isCsrfFailure(response: AxiosResponse | null | undefined): boolean;
+
+/** Converts an error of the request (Axios error, etc) to the client error */
+export function toRbxError(err: unknown): RbxApiError;
@@ -0,0 +1,223 @@
+const { getRetryAfter, NETWORK_ERRORS } = require('./retry');
+const { getChallenge } = require('./challenge');
+
+// Headers in which Roblox (and its edge servers) return the request identifiers
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-roblox-request-id', 'correlation-id', 'roblox-machine-id'];
+
+// Message with which Roblox rejects requests without a valid X-CSRF token
+const CSRF_FAILURE_MESSAGE = 'Token Validation Failed';
+
+/**
+ * Splits the name of the method into parts
+ * @param  {string} operation Method name (Chat.v2.SendMessage)
+ * @return {Object}           { api, version, method } (nulls if unknown)
+ */
+const parseOperation = operation => {
+  const parts = operation ? operation.split('.') : [];
+  if (parts.length < 3) {
+    return { api: null, version: null, method: null };
+  }
+  // The version can contain dots (v1.1)
+  return { api: parts[0], version: parts.slice(1, -1).join('.'), method: parts[parts.length - 1] };
+};
+
+/** Base class of all client errors */
+class RbxApiError extends Error {
+  /**
+   * @param {string}        message               Error message
+   * @param {Object}        [details]             Error details
+   * @param {string}        [details.operation]   Method that failed (Chat.v2.SendMessage)
+   * @param {number}        [details.status]      HTTP status
+   * @param {Array<Object>} [details.errors]      Errors from the response body ({ code, message })
+   * @param {string}        [details.code]        Code of a network error (ECONNRESET, etc)
+   * @param {Object}        [details.config]      Request config
+   * @param {Object}        [details.response]    Server response
+   * @param {*}             [details.cause]       Original error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    const { config = null, response = null } = details;
+    const headers = response ? response.headers || {} : {};
+
+    this.name = 'RbxApiError';
+    this.operation = details.operation || (config && config.operation) || null;
+    Object.assign(this, parseOperation(this.operation));
+    this.status = details.status || (response ? response.status : null);
+    this.errors = details.errors || [];
+    this.code = details.code || null;
+    this.verb = config && config.method ? config.method.toUpperCase() : null;
+    this.url = config ? config.url || null : null;
+
+    /** All request identifiers returned by the server ({ header: value }) */
+    this.requestIds = {};
+    for (let header of REQUEST_ID_HEADERS) {
+      if (headers[header]) this.requestIds[header] = headers[header];
+    }
+    this.requestId = Object.values(this.requestIds)[0] || null;
+
+    // Retry hints
+    this.retryAfter = response ? getRetryAfter(headers) : null;
+    this.retryable = NETWORK_ERRORS.indexOf(this.code) !== -1 || this.status === 429 || this.status >= 500;
+    this.attempts = config ? (config.retryAttempt || 0) + 1 : 0;
+
+    // Not enumerable, so that the error can be logged and serialized without them
+    Object.defineProperties(this, {
+      config: { value: config, writable: true, configurable: true },
+      response: { value: response, writable: true, configurable: true }
+    });
+    if (details.cause !== undefined) {
+      Object.defineProperty(this, 'cause', { value: details.cause, writable: true, configurable: true });
+    }
+  }
+}
+
+/** The cookie is invalid or outdated (401) and could not be refreshed */
+class RbxAuthError extends RbxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RbxAuthError';
+  }
+}
+
+/** The request was throttled (429) and was not repeated (see retryAfter) */
+class RbxRateLimitError extends RbxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RbxRateLimitError';
+  }
+}
+
+/** The X-CSRF token could not be obtained or was rejected */
+class RbxCsrfError extends RbxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RbxCsrfError';
+  }
+}
+
+/** Roblox asked to pass a challenge (captcha, 2-step verification, etc), and it was not solved */
+class RbxChallengeError extends RbxApiError {
+  /**
+   * @param {string} message   Error message
+   * @param {Object} details   Error details (see RbxApiError)
+   * @param {Object} challenge Challenge ({ id, type, metadata })
+   */
+  constructor(message, details, challenge) {
+    super(message, details);
+    this.name = 'RbxChallengeError';
+    this.challenge = challenge;
+  }
+}
+
+/** Invalid method parameters, the request was not sent (all invalid fields are listed in "errors") */
+class RbxValidationError extends RbxApiError {
+  /**
+   * @param {string}        operation Method name (Chat.v2.SendMessage, etc)
+   * @param {Array<Object>} errors    Invalid fields ({ param, message, value })
+   */
+  constructor(operation, errors) {
+    super(
+      `Invalid parameters of method "${operation}": ` +
+      errors.map(error => `"${error.param}" ${error.message}`).join(', '),
+      { operation, errors }
+    );
+    this.name = 'RbxValidationError';
+  }
+}
+
+/** The item was not found (for example, it is absent in the response of a batch endpoint) */
+class RbxNotFoundError extends RbxApiError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details Error details (see RbxApiError)
+   * @param {*}      key     Key of the item (ID, name, etc)
+   */
+  constructor(message, details, key) {
+    super(message, details);
+    this.name = 'RbxNotFoundError';
+    this.key = key;
+  }
+}
+
+/** The request was aborted with the AbortSignal of the call (it is not repeated) */
+class RbxAbortError extends RbxApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RbxAbortError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Checks whether the response is a rejection because of the X-CSRF token
+ * @param  {Object}  response Server response
+ * @return {Boolean}
+ */
+const isCsrfFailure = response => {
+  if (!response || response.status !== 403) return false;
+  const errors = response.data && response.data.errors;
+  return Boolean(response.headers['x-csrf-token']) ||
+    Boolean(errors && errors.some(error => error && error.message === CSRF_FAILURE_MESSAGE));
+};
+
+/**
+ * Converts an error of the request (Axios error, etc) to the client error
+ * @param  {*}           err Error
+ * @return {RbxApiError}     Client error (the same error if it is already converted)
+ */
+const toRbxError = err => {
+  if (err instanceof RbxApiError) {
+    return err;
+  }
+  // Axios cancellation (see the signal of the request config)
+  if (err && err.__CANCEL__) {
+    const config = err.config || null;
+    const operation = config && config.operation;
+    return new RbxAbortError(`${operation ? `${operation}: ` : ''}${err.message || 'Request aborted'}`, {
+      config,
+      cause: err
+    });
+  }
+  if (!(err instanceof Error)) {
+    return new RbxApiError(String(err && err.message || err), { cause: err });
+  }
+
+  const { config, response } = err;
+  const data = response && response.data;
+  const errors = data && Array.isArray(data.errors) ? data.errors : [];
+  const operation = config && config.operation;
+  const message = [
+    operation ? `${operation}: ` : '',
+    err.message,
+    errors.length && errors[0].message ? `: ${errors[0].message}` : ''
+  ].join('');
+  const details = { config, response, errors, code: response ? null : err.code, cause: err };
+
+  const challenge = getChallenge(response);
+  if (!response) {
+    return new RbxApiError(message, details);
+  } else if (challenge) {
+    return new RbxChallengeError(message, details, challenge);
+  } else if (response.status === 401) {
+    return new RbxAuthError(message, details);
+  } else if (response.status === 429) {
+    return new RbxRateLimitError(message, details);
+  } else if (isCsrfFailure(response)) {
+    return new RbxCsrfError(message, details);
+  }
+  return new RbxApiError(message, details);
+};
+
+module.exports = {
+  RbxApiError,
+  RbxAuthError,
+  RbxRateLimitError,
+  RbxCsrfError,
+  RbxChallengeError,
+  RbxValidationError,
+  RbxNotFoundError,
+  RbxAbortError,
+  parseOperation,
+  isCsrfFailure,
+  toRbxError
+};
@@ -0,0 +1,116 @@
+import { EventEmitter } from 'events';
+import { AxiosInstance } from 'axios';
+
+/** Checkpoint of the event: the time of the newest emitted item and the IDs of the last ones */
+export interface Checkpoint {
+  /** Time of the newest item (ms) */
+  since: number;
+  seen: Array<string>;
+}
+
+/** Storage of the checkpoints (keys are "account:event" or "account:groupJoinRequest:groupId") */
+export interface CheckpointStore {
+  get(key: string): Promise<Checkpoint | null>;
+  set(key: string, checkpoint: Checkpoint): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** Stores checkpoints of the events in memory */
+export class MemoryCheckpointStore implements CheckpointStore {
+  get(key: string): Promise<Checkpoint | null>;
+  set(key: string, checkpoint: Checkpoint): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** Stores checkpoints in a JSON file, so that seen items are not emitted again after restarts */
+export class FileCheckpointStore implements CheckpointStore {
+  /** @param path Path to the JSON file (created if it does not exist) */
+  constructor(path: string);
+  path: string;
+  get(key: string): Promise<Checkpoint | null>;
+  set(key: string, checkpoint: Checkpoint): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/** Message of a conversation (https://chat.roblox.com/v2/get-messages) */
+export interface ChatMessageEvent {
+  id: string;
+  conversationId: number;
+  senderTargetId: number;
+  content: string;
+  /** Date of the message (ISO) */
+  sent: string;
+  [field: string]: any;
+}
+
+/** Friend request: the user who sent it (https://friends.roblox.com/v1/my/friends/requests) */
+export interface FriendRequestEvent {
+  id: number;
+  name: string;
+  displayName: string;
+  friendRequest: { sentAt: string; senderId: number; [field: string]: any };
+  [field: string]: any;
+}
+
+/** Join request of a group (https://groups.roblox.com/v1/groups/{groupId}/join-requests) */
+export interface GroupJoinRequestEvent {
+  groupId: number;
+  requester: { userId: number; username: string; displayName: string; [field: string]: any };
+  /** Date of the request (ISO) */
+  created: string;
+  [field: string]: any;
+}
+
+/** Inbound trade (https://trades.roblox.com/v1/trades/Inbound) */
+export interface TradeReceivedEvent {
+  id: number;
+  user: { id: number; name: string; displayName: string; [field: string]: any };
+  /** Date of the trade (ISO) */
+  created: string;
+  [field: string]: any;
+}
+
+/** Items of the events */
+export interface EventMap {
+  chatMessage: ChatMessageEvent;
+  friendRequest: FriendRequestEvent;
+  groupJoinRequest: GroupJoinRequestEvent;
+  tradeReceived: TradeReceivedEvent;
+}
+
+/** Options of the events */
+export interface EventOptions {
+  /** Account whose activity is polled (selected by the pool by default) */
+  account?: string;
+  /** Polling intervals of the events (ms) */
+  intervals?: { [event in keyof EventMap]?: number };
+  /** The longest delay after throttled or failed polls (5 minutes by default, ms) */
+  maxBackoff?: number;
+  /** Checkpoint store (MemoryCheckpointStore by default) */
+  store?: CheckpointStore;
+  /** Groups whose join requests are polled (required for groupJoinRequest) */
+  groupIds?: Array<number>;
+  /** Emit the items that exist before the first poll (false - they are only remembered) */
+  emitExisting?: boolean;
+}
+
+/**
+ * Emits the activity of the account by polling the lists of Roblox. An event is polled while it has handlers,
+ * items are emitted once (see the checkpoint store). Throttled and failed polls are repeated with backoff,
+ * their errors are emitted as "error" (if it has handlers)
+ */
+export class EventPoller extends EventEmitter {
+  constructor(client: AxiosInstance, options?: EventOptions);
+  account: string | undefined;
+  store: CheckpointStore;
+  on<E extends keyof EventMap>(event: E, handler: (item: EventMap[E]) => void): this;
+  on(event: 'error', handler: (error: Error) => void): this;
+  on(event: string | symbol, handler: (...args: any[]) => void): this;
+  once<E extends keyof EventMap>(event: E, handler: (item: EventMap[E]) => void): this;
+  once(event: 'error', handler: (error: Error) => void): this;
+  once(event: string | symbol, handler: (...args: any[]) => void): this;
+  /** Starts polling of the event (called when its first handler is added) */
+  start(event: keyof EventMap): void;
+  /** Stops polling of the event (of all events if it is not specified) */
+  stop(event?: keyof EventMap): void;
+}
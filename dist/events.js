@@ -0,0 +1,335 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+// Polling intervals of the events (ms)
+const DEFAULT_INTERVALS = {
+  chatMessage: 5000,
+  friendRequest: 30000,
+  groupJoinRequest: 30000,
+  tradeReceived: 60000
+};
+
+// The longest delay between polls when Roblox throttles them or fails (ms)
+const MAX_BACKOFF = 300000;
+
+// Number of the last item IDs kept in a checkpoint for deduplication
+const MAX_SEEN = 500;
+
+/** Stores checkpoints of the events in memory */
+class MemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = {};
+  }
+
+  /**
+   * Returns the saved checkpoint
+   * @param  {string}          key Checkpoint key (account:event, account:groupJoinRequest:7)
+   * @return {Promise<Object>}     Checkpoint ({ seen, since }) or null
+   */
+  async get(key) {
+    return this.checkpoints[key] || null;
+  }
+
+  /**
+   * Saves the checkpoint
+   * @param {string} key        Checkpoint key
+   * @param {Object} checkpoint Checkpoint ({ seen, since })
+   */
+  async set(key, checkpoint) {
+    this.checkpoints[key] = { ...checkpoint };
+  }
+
+  /**
+   * Deletes the checkpoint
+   * @param {string} key Checkpoint key
+   */
+  async delete(key) {
+    delete this.checkpoints[key];
+  }
+}
+
+/** Stores checkpoints in a JSON file, so that seen items are not emitted again after restarts */
+class FileCheckpointStore {
+  /**
+   * @param {string} path Path to the JSON file (created if it does not exist)
+   */
+  constructor(path) {
+    this.path = path;
+    this.checkpoints = null;
+    // Writes are performed one after another
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the file once
+   * @return {Object} All checkpoints
+   */
+  load() {
+    if (!this.checkpoints) {
+      this.checkpoints = fs.existsSync(this.path)
+        ? JSON.parse(fs.readFileSync(this.path, 'utf8'))
+        : {};
+    }
+    return this.checkpoints;
+  }
+
+  /** Writes all checkpoints to the file */
+  save() {
+    const data = JSON.stringify(this.checkpoints, null, 2);
+    // A failed write does not stop the next ones. The file is replaced at once (a temporary file is renamed),
+    // so a crash in the middle of a write does not leave it broken
+    const temp = `${this.path}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(temp, data))
+      .then(() => fs.promises.rename(temp, this.path));
+    return this.writing;
+  }
+
+  async get(key) {
+    return this.load()[key] || null;
+  }
+
+  async set(key, checkpoint) {
+    this.load()[key] = { ...checkpoint };
+    await this.save();
+  }
+
+  async delete(key) {
+    delete this.load()[key];
+    await this.save();
+  }
+}
+
+/**
+ * Converts the date of Roblox to ms
+ * @param  {string} date Date (ISO)
+ * @return {number}      Time in ms (0 if the date is absent)
+ */
+const toTime = date => (date ? Date.parse(date) || 0 : 0);
+
+/**
+ * Sources of the events. Each feed polls one list and returns its latest items ({ id, time, data }),
+ * fetch receives the time of the newest item emitted before; items already seen are filtered out by the poller.
+ * The first poll that only remembers the existing items is a baseline: a feed can return items without IDs
+ * (only their time is remembered) instead of requesting everything
+ */
+const FEEDS = {
+  /** Messages of the conversations updated since the last poll (https://chat.roblox.com/v2) */
+  chatMessage: (client, { account }) => [{
+    key: 'chatMessage',
+    async fetch(since, { baseline = false } = {}) {
+      const conversations = await client.get('https://chat.roblox.com/v2/get-user-conversations', {
+        params: { pageNumber: 1, pageSize: 30 },
+        account
+      });
+      const updated = (conversations || []).filter(conversation => toTime(conversation.lastUpdated) > since);
+      // The messages are not emitted, so only the time of the conversations is remembered
+      if (baseline) {
+        return updated.map(conversation => ({ id: null, time: toTime(conversation.lastUpdated), data: null }));
+      }
+      const items = [];
+      for (let conversation of updated) {
+        const messages = await client.get('https://chat.roblox.com/v2/get-messages', {
+          params: { conversationId: conversation.id, pageSize: 30 },
+          account
+        });
+        for (let message of messages || []) {
+          if (toTime(message.sent) <= since) continue;
+          items.push({ id: message.id, time: toTime(message.sent), data: { ...message, conversationId: conversation.id } });
+        }
+      }
+      return items;
+    }
+  }],
+
+  /** Friend requests to the account (https://friends.roblox.com/v1/my/friends/requests) */
+  friendRequest: (client, { account }) => [{
+    key: 'friendRequest',
+    async fetch() {
+      const page = await client.get('https://friends.roblox.com/v1/my/friends/requests', {
+        params: { limit: 100, sortOrder: 'Desc' },
+        account
+      });
+      // A user can send a request again after it was declined
+      return (page.data || []).map(user => {
+        const sentAt = user.friendRequest ? user.friendRequest.sentAt : null;
+        return { id: `${user.id}:${sentAt}`, time: toTime(sentAt), data: user };
+      });
+    }
+  }],
+
+  /** Join requests of the groups of the groupIds option (https://groups.roblox.com/v1/groups/{groupId}/join-requests) */
+  groupJoinRequest: (client, { account, groupIds }) => groupIds.map(groupId => ({
+    key: `groupJoinRequest:${groupId}`,
+    async fetch() {
+      const page = await client.get(`https://groups.roblox.com/v1/groups/${groupId}/join-requests`, {
+        params: { limit: 100, sortOrder: 'Desc' },
+        account
+      });
+      return (page.data || []).map(request => ({
+        id: `${request.requester ? request.requester.userId : null}:${request.created}`,
+        time: toTime(request.created),
+        data: { ...request, groupId }
+      }));
+    }
+  })),
+
+  /** Inbound trades (https://trades.roblox.com/v1/trades/Inbound) */
+  tradeReceived: (client, { account }) => [{
+    key: 'tradeReceived',
+    async fetch() {
+      const page = await client.get('https://trades.roblox.com/v1/trades/Inbound', {
+        params: { limit: 100, sortOrder: 'Desc' },
+        account
+      });
+      return (page.data || []).map(trade => ({ id: trade.id, time: toTime(trade.created), data: trade }));
+    }
+  }]
+};
+
+/**
+ * Checks whether the event is polled (has a feed)
+ * @param  {string|symbol} event Event name
+ * @return {Boolean}
+ */
+const isPolled = event => Object.prototype.hasOwnProperty.call(FEEDS, event);
+
+/**
+ * Emits the activity of the account (chatMessage, friendRequest, groupJoinRequest, tradeReceived) by polling
+ * the lists of Roblox. An event is polled while it has handlers. Items are emitted once: their IDs and the time
+ * of the newest one are saved to the checkpoint store. The first poll without a checkpoint only remembers
+ * the existing items (unless emitExisting is set). When a poll is throttled or fails, the delay is doubled
+ * (or set by Retry-After) up to maxBackoff, and the error is emitted as "error" if it has handlers
+ */
+class EventPoller extends EventEmitter {
+  /**
+   * @param {AxiosInstance} client                 Client for web requests
+   * @param {Object}        [options]              Event options
+   * @param {string}        [options.account]      Account whose activity is polled (selected by the pool by default)
+   * @param {Object}        [options.intervals]    Polling intervals of the events ({ chatMessage: 5000 }, ms)
+   * @param {number}        [options.maxBackoff]   The longest delay after throttled or failed polls (ms)
+   * @param {Object}        [options.store]        Checkpoint store (MemoryCheckpointStore by default)
+   * @param {Array<number>} [options.groupIds]     Groups whose join requests are polled
+   * @param {Boolean}       [options.emitExisting] Emit the items that exist before the first poll
+   */
+  constructor(client, {
+    account,
+    intervals = {},
+    maxBackoff = MAX_BACKOFF,
+    store = null,
+    groupIds = [],
+    emitExisting = false
+  } = {}) {
+    super();
+    this.client = client;
+    this.account = account;
+    this.intervals = { ...DEFAULT_INTERVALS, ...intervals };
+    this.maxBackoff = maxBackoff;
+    this.store = store || new MemoryCheckpointStore();
+    this.groupIds = groupIds;
+    this.emitExisting = emitExisting;
+    // Polled feeds of the events ({ [event]: Array<{ key, fetch, timer, delay, stopped }> })
+    this.polling = {};
+
+    // Polling follows the handlers (the first poll ends after the handler is added)
+    this.on('newListener', event => {
+      if (isPolled(event)) {
+        this.start(event);
+      }
+    });
+    this.on('removeListener', event => {
+      if (isPolled(event) && !this.listenerCount(event)) {
+        this.stop(event);
+      }
+    });
+  }
+
+  /**
+   * Starts polling of the event (called when its first handler is added)
+   * @param {string} event Event name
+   */
+  start(event) {
+    if (this.polling[event]) return;
+    if (event === 'groupJoinRequest' && !this.groupIds.length) {
+      throw new Error('Event "groupJoinRequest" requires the "groupIds" option');
+    }
+
+    const feeds = FEEDS[event](this.client, { account: this.account, groupIds: this.groupIds });
+    this.polling[event] = feeds;
+    for (let feed of feeds) {
+      feed.delay = this.intervals[event];
+      this.poll(event, feed);
+    }
+  }
+
+  /**
+   * Stops polling of the event (of all events if it is not specified)
+   * @param {string} [event] Event name
+   */
+  stop(event) {
+    for (let name of event ? [event] : Object.keys(this.polling)) {
+      for (let feed of this.polling[name] || []) {
+        feed.stopped = true;
+        clearTimeout(feed.timer);
+      }
+      delete this.polling[name];
+    }
+  }
+
+  /**
+   * Polls the feed once and schedules the next poll
+   * @param  {string}  event Event name
+   * @param  {Object}  feed  Feed
+   * @return {Promise}
+   */
+  async poll(event, feed) {
+    const key = `${this.account || 'default'}:${feed.key}`;
+    try {
+      const checkpoint = await this.store.get(key);
+      const since = checkpoint ? checkpoint.since || 0 : 0;
+      const seen = new Set(checkpoint ? checkpoint.seen : []);
+      const items = await feed.fetch(since, { baseline: !checkpoint && !this.emitExisting });
+      if (feed.stopped) return;
+
+      // The oldest items first
+      const fresh = items
+        .filter(item => item.id != null && !seen.has(String(item.id)))
+        .sort((a, b) => a.time - b.time);
+      if (fresh.length || !checkpoint) {
+        await this.store.set(key, {
+          since: Math.max(since, ...items.map(item => item.time)),
+          seen: [...seen, ...fresh.map(item => String(item.id))].slice(-MAX_SEEN)
+        });
+      }
+      if (checkpoint || this.emitExisting) {
+        fresh.forEach(item => this.emitSafely(event, item.data));
+      }
+      feed.delay = this.intervals[event];
+    } catch (error) {
+      // Throttled and failed polls are repeated later
+      feed.delay = Math.min(this.maxBackoff, Math.max(feed.delay * 2, error.retryAfter || 0));
+      this.emitSafely('error', error);
+    }
+
+    if (!feed.stopped) {
+      feed.timer = setTimeout(() => this.poll(event, feed), feed.delay);
+    }
+  }
+
+  /**
+   * Emits the event, errors of the handlers are emitted as "error" (errors are dropped if it has no handlers)
+   * @param {string} event Event name
+   * @param {*}      data  Item
+   */
+  emitSafely(event, data) {
+    if (event === 'error' && !this.listenerCount('error')) return;
+    try {
+      this.emit(event, data);
+    } catch (error) {
+      if (event !== 'error') this.emitSafely('error', error);
+    }
+  }
+}
+
+module.exports = { EventPoller, MemoryCheckpointStore, FileCheckpointStore };
@@ -0,0 +1,92 @@
+/** Parameter of the method */
+export interface ParamDescription {
+  name: string;
+  /** path, query, body, header, formData */
+  location: string;
+  /** TypeScript type (number, string, Array<number>, etc) */
+  type: string;
+  required: boolean;
+  description: string;
+}
+
+/** Signature of the method in the manifest */
+export interface MethodSignature {
+  verb: string;
+  path: string;
+  description: string;
+  deprecated: boolean;
+  params: Array<ParamDescription>;
+  /** Aliases of the method (operationId) */
+  aliases?: Array<string>;
+  /** Method whose items are iterated (Iterate... methods) */
+  iterates?: string;
+}
+
+/** Manifest of the built API */
+export interface Manifest {
+  generatedAt: string;
+  apis: {
+    [api: string]: {
+      url: string;
+      description: string;
+      versions: { [version: string]: { [method: string]: MethodSignature } };
+    };
+  };
+}
+
+/** Description of the method */
+export interface MethodDescription {
+  /** Full name (Chat.v2.SendMessage) */
+  name: string;
+  api: string;
+  version: string;
+  method: string;
+  /** HTTP method (GET, POST, etc) */
+  verb: string;
+  /** Path of the method (/v2/send-message) */
+  path: string;
+  /** Full address (https://chat.roblox.com/v2/send-message) */
+  url: string;
+  description: string;
+  deprecated: boolean;
+  params: Array<ParamDescription>;
+  aliases: Array<string>;
+  /** Method whose items are iterated (Iterate... methods) */
+  iterates: string | null;
+}
+
+/**
+ * Finds the directory of the built API: the specified one, RBX_API_OUT_DIR,
+ * "outDir" of the build config (rbx-api.config.js or RBX_API_CONFIG), the directory of the runtime
+ */
+export function resolveOutDir(outDir?: string): string;
+
+/** Returns the path to the manifest of the built API (api-manifest.json in its directory) */
+export function resolveManifestPath(outDir?: string): string;
+
+/** Reads the manifest of the built API (once per path, the one of the built API by default) */
+export function readManifest(manifestPath?: string): Manifest;
+
+/** Finds the method in the manifest (by its name or alias), null if there is no such method */
+export function findMethod(
+  manifest: Manifest,
+  fullName: string
+): { api: string; version: string; method: string; signature: MethodSignature } | null;
+
+/** Describes the method: address, verb, parameters (names, locations, types), deprecation */
+export function describe(manifest: Manifest, fullName: string): MethodDescription;
+
+/** Finds the methods whose name, alias, path or description contain all words of the query (case-insensitive) */
+export function search(manifest: Manifest, query: string): Array<MethodDescription>;
+
+/** Calls the method by its name (an iterator for Iterate... methods) */
+export function call(
+  client: any,
+  manifest: Manifest,
+  fullName: string,
+  params?: { [name: string]: any },
+  options?:
+    | import('./call-options').CallOptions
+    | import('./paginate').PaginationOptions
+    | import('./multipart').UploadOptions
+): any;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Name of the manifest in the directory of the built API (next to the generated index)
+const MANIFEST_FILE = 'api-manifest.json';
+
+// Build config of the project (its outDir is the directory of the built API)
+const CONFIG_FILE = 'rbx-api.config.js';
+
+// Manifests that have already been read ({ [path]: manifest })
+const manifests = new Map();
+
+/**
+ * Finds the directory of the built API: the specified one, RBX_API_OUT_DIR,
+ * "outDir" of the build config (rbx-api.config.js or RBX_API_CONFIG), the directory of the runtime
+ * @param  {string} [outDir] Directory of the built API (relative to the project or absolute)
+ * @return {string}          Absolute path of the directory with the manifest and the index
+ */
+const resolveOutDir = outDir => {
+  // Relative paths are resolved like the build does, against the directory of the project
+  const projectDir = process.env.INIT_CWD || process.cwd();
+  outDir = outDir || process.env.RBX_API_OUT_DIR;
+  if (outDir) {
+    return path.resolve(projectDir, String(outDir));
+  }
+
+  const configPath = path.resolve(projectDir, process.env.RBX_API_CONFIG || CONFIG_FILE);
+  if (fs.existsSync(configPath)) {
+    const config = require(configPath);
+    if (config.outDir) {
+      return path.resolve(projectDir, config.outDir);
+    }
+  }
+  return __dirname;
+};
+
+/**
+ * Returns the path to the manifest of the built API
+ * @param  {string} [outDir] Directory of the built API (see resolveOutDir)
+ * @return {string}          Path to api-manifest.json
+ */
+const resolveManifestPath = outDir => path.join(resolveOutDir(outDir), MANIFEST_FILE);
+
+/**
+ * Reads the manifest of the built API (once per path)
+ * @param  {string} [manifestPath] Path to api-manifest.json (by default, the one of the built API, see resolveOutDir)
+ * @return {Object}                Manifest
+ */
+const readManifest = (manifestPath = resolveManifestPath()) => {
+  if (!manifests.has(manifestPath)) {
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`The API is not built yet: "${manifestPath}" does not exist (run "npm run build")`);
+    }
+    manifests.set(manifestPath, JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+  }
+  return manifests.get(manifestPath);
+};
+
+/**
+ * Finds the method in the manifest (by its name or alias)
+ * @param  {Object} manifest Manifest
+ * @param  {string} fullName Method name or alias (Chat.v2.SendMessage)
+ * @return {Object}          { api, version, method, signature }, null if there is no such method
+ */
+const findMethod = (manifest, fullName) => {
+  // The version can contain dots (v1.1), so the name is split from both sides
+  const parts = String(fullName || '').split('.');
+  const api = parts[0];
+  const version = parts.slice(1, -1).join('.');
+  const versions = manifest.apis[api] ? manifest.apis[api].versions : {};
+  const methods = versions[version] || {};
+  const name = parts[parts.length - 1];
+  // Aliases (operationId) lead to their methods
+  const method = methods[name] ? name : Object.keys(methods).find(methodName => {
+    return (methods[methodName].aliases || []).indexOf(name) !== -1;
+  });
+
+  if (parts.length < 3 || !method) {
+    return null;
+  }
+  return { api, version, method, signature: methods[method] };
+};
+
+/**
+ * Builds the description of the method
+ * @param  {Object} manifest Manifest
+ * @param  {Object} found    Method (see findMethod)
+ * @return {Object}          Description
+ */
+const buildDescription = (manifest, { api, version, method, signature }) => ({
+  name: `${api}.${version}.${method}`,
+  api,
+  version,
+  method,
+  verb: signature.verb,
+  path: signature.path,
+  url: manifest.apis[api].url + signature.path,
+  description: signature.description,
+  deprecated: signature.deprecated,
+  params: signature.params.map(param => ({ ...param })),
+  aliases: signature.aliases || [],
+  iterates: signature.iterates || null
+});
+
+/**
+ * Describes the method: address, verb, parameters (names, locations, types), deprecation
+ * @param  {Object} manifest Manifest
+ * @param  {string} fullName Method name or alias (Chat.v2.SendMessage)
+ * @return {Object}          Description
+ */
+const describe = (manifest, fullName) => {
+  const found = findMethod(manifest, fullName);
+  if (!found) {
+    throw new Error(`Unknown method "${fullName}"`);
+  }
+  return buildDescription(manifest, found);
+};
+
+/**
+ * Finds the methods whose name, alias, path or description contain all words of the query (case-insensitive)
+ * @param  {Object}        manifest Manifest
+ * @param  {string}        query    Query (thumbnail, "users GET", etc)
+ * @return {Array<Object>}          Descriptions of the methods (matching names go first)
+ */
+const search = (manifest, query) => {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const results = [];
+
+  for (let [api, { versions }] of Object.entries(manifest.apis)) {
+    for (let [version, methods] of Object.entries(versions)) {
+      for (let method of Object.keys(methods)) {
+        const description = buildDescription(manifest, { api, version, method, signature: methods[method] });
+        const name = [description.name, ...description.aliases].join(' ').toLowerCase();
+        const text = `${name} ${description.verb} ${description.url} ${description.description}`.toLowerCase();
+        if (words.every(word => text.includes(word))) {
+          results.push({ description, score: words.filter(word => name.includes(word)).length });
+        }
+      }
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.description.name.localeCompare(b.description.name))
+    .map(result => result.description);
+};
+
+/**
+ * Calls the method by its name (dynamic dispatch)
+ * @param  {Object} client    RbxApiClient
+ * @param  {Object} manifest  Manifest
+ * @param  {string} fullName  Method name or alias (Chat.v2.SendMessage)
+ * @param  {Object} [params]  Method parameters
+ * @param  {Object} [options] Call options (pagination options of Iterate... methods, upload options of methods with files)
+ * @return {*}                Result of the method (an iterator for Iterate... methods)
+ */
+const call = (client, manifest, fullName, params, options) => {
+  const found = findMethod(manifest, fullName);
+  if (!found) {
+    return Promise.reject(new Error(`Unknown method "${fullName}"`));
+  }
+  return client[found.api][found.version][found.method](params, options);
+};
+
+module.exports = { resolveOutDir, resolveManifestPath, readManifest, findMethod, describe, search, call };
@@ -0,0 +1,150 @@
+/**
+ * Limits requests to one host: no more than N simultaneous requests
+ * and no more than "tokens" requests per "interval" (token bucket)
+ */
+class HostLimiter {
+  /**
+   * @param {Object} [options]             Limits
+   * @param {number} [options.concurrency] Maximum number of simultaneous requests
+   * @param {number} [options.tokens]      Bucket capacity (requests per interval)
+   * @param {number} [options.interval]    Interval for which the bucket is completely refilled (ms)
+   */
+  constructor({ concurrency = Infinity, tokens = Infinity, interval = 1000 } = {}) {
+    this.concurrency = concurrency;
+    this.capacity = tokens;
+    this.interval = interval;
+    this.tokens = tokens;
+    this.refilledAt = Date.now();
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /** Adds tokens accumulated since the last refill */
+  refill() {
+    if (this.capacity === Infinity) return;
+    const now = Date.now();
+    const added = (now - this.refilledAt) * this.capacity / this.interval;
+    this.tokens = Math.min(this.capacity, this.tokens + added);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Waits for permission to send a request
+   * @param  {AbortSignal}         [signal] Aborts the waiting (the request leaves the queue, the promise is rejected)
+   * @return {Promise<function()>}          Function that must be called when the request is completed
+   */
+  acquire(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('Request aborted'));
+        return;
+      }
+
+      const onAbort = () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(new Error('Request aborted'));
+        }
+      };
+      const waiter = release => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(release);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.queue.push(waiter);
+      this.next();
+    });
+  }
+
+  /**
+   * Suspends requests to the host (for example, until the rate limit is reset)
+   * @param {number} ms Duration of the pause
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /** Lets the waiting requests through, as far as the limits allow */
+  next() {
+    this.refill();
+
+    while (this.queue.length && this.active < this.concurrency) {
+      const wait = Math.max(
+        this.pausedUntil - Date.now(),
+        this.tokens >= 1 ? 0 : (1 - this.tokens) * this.interval / this.capacity
+      );
+
+      if (wait > 0) {
+        // Check again when the pause ends or a token appears
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+          }, Math.ceil(wait));
+        }
+        return;
+      }
+
+      const resolve = this.queue.shift();
+      let released = false;
+      this.active++;
+      if (this.capacity !== Infinity) this.tokens--;
+
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this.next();
+      });
+    }
+  }
+}
+
+/**
+ * Creates a set of limiters, one for each host
+ * @param  {Object} [options]             Limits for all hosts
+ * @param  {number} [options.concurrency] Maximum number of simultaneous requests to one host
+ * @param  {number} [options.tokens]      Requests per interval to one host
+ * @param  {number} [options.interval]    Interval of the token bucket (ms)
+ * @param  {Object} [options.hosts]       Limits for specific hosts ({ 'chat.roblox.com': { ... } })
+ * @return {Object}                       Limiter ({ acquire, pause })
+ */
+const createLimiter = (options = {}) => {
+  const { hosts = {}, ...defaults } = options;
+  const limiters = {};
+
+  const getLimiter = url => {
+    let host = '';
+    try {
+      host = new URL(url).host;
+    } catch (err) {
+      // Relative address, all such requests share one limiter
+    }
+    if (!limiters[host]) {
+      limiters[host] = new HostLimiter({ ...defaults, ...hosts[host] });
+    }
+    return limiters[host];
+  };
+
+  return {
+    /**
+     * Waits for permission to send a request to the address
+     * @param  {string}              url      Request address
+     * @param  {AbortSignal}         [signal] Aborts the waiting
+     * @return {Promise<function()>}          Function that must be called when the request is completed
+     */
+    acquire: (url, signal) => getLimiter(url).acquire(signal),
+
+    /**
+     * Suspends requests to the host of the address
+     * @param {string} url Request address
+     * @param {number} ms  Duration of the pause
+     */
+    pause: (url, ms) => getLimiter(url).pause(ms)
+  };
+};
+
+module.exports = createLimiter;
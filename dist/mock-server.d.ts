@@ -0,0 +1,76 @@
+import { Server } from 'http';
+
+/** Request received by the stub */
+export interface MockRequest {
+  method: string;
+  /** Original address (https://chat.roblox.com/v2/send-message?...) */
+  url: string;
+  /** https://chat.roblox.com */
+  origin: string;
+  /** /v2/send-message */
+  path: string;
+  headers: { [name: string]: string | Array<string> | undefined };
+  body: string;
+}
+
+/** Response of the stub */
+export interface MockResponse {
+  status?: number;
+  headers?: { [name: string]: string };
+  body?: any;
+}
+
+/** Options of the stub */
+export interface MockServerOptions {
+  /** Snapshot directory with the documents */
+  snapshot?: string | null;
+  /** Documents ({ 'https://chat.roblox.com': { v2: document } }) */
+  documents?: { [origin: string]: { [version: string]: any } };
+  /** X-CSRF token required for POST, PATCH, etc (null - not required) */
+  csrfToken?: string | null;
+}
+
+/** Challenge required by the stub (see MockServer.challenge) */
+export interface MockChallengeOptions {
+  /** Challenge type (twostepverification by default) */
+  type?: string;
+  /** Metadata sent to the client (challengeId is added) */
+  metadata?: any;
+  /** Checks the metadata of the solution */
+  verify?: (metadata: any, request: MockRequest) => boolean | Promise<boolean>;
+}
+
+/** Builds an example value that matches the schema */
+export function buildExample(node: any, schemas: { [name: string]: any }, name?: string, depth?: number): any;
+
+/**
+ * Local stub of Roblox servers. Responds to the methods of the documents (Swagger 2.0 or OpenAPI 3)
+ * with examples built from the response schemas
+ */
+export class MockServer {
+  constructor(options?: MockServerOptions);
+  server: Server;
+  /** Address of the server (after listen) */
+  url: string | null;
+  /** Replacements for the "baseURLs" client option (after listen) */
+  baseURLs: { [origin: string]: string };
+  /** Received requests */
+  requests: Array<MockRequest>;
+  csrfToken: string | null;
+  /** Replaces the response of the method */
+  respond(
+    method: string,
+    url: string,
+    response: MockResponse | ((request: MockRequest) => MockResponse | Promise<MockResponse>)
+  ): void;
+  /**
+   * Requires a challenge (captcha, 2-step verification, etc) before the method responds.
+   * The request is answered with 403 and the rblx-challenge-* headers until it is repeated
+   * with the ID of the issued challenge and the metadata accepted by "verify"
+   */
+  challenge(method: string, url: string, options?: MockChallengeOptions): void;
+  /** Starts the server (random port by default) */
+  listen(port?: number): Promise<this>;
+  /** Stops the server */
+  close(): Promise<void>;
+}
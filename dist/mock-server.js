@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { CHALLENGE_HEADERS, decodeMetadata, encodeMetadata } = require('./challenge');
+
+// The endpoint from which the client receives the X-CSRF token
+const XCSRF_ORIGIN = 'https://auth.roblox.com';
+const XCSRF_PATH = '/v2/logout';
+
+// Methods that require an X-CSRF token
+const CSRF_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// HTTP methods of the documents (other keys of the paths are parameters, descriptions, etc)
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Builds an example value that matches the schema
+ * @param  {Object} node    Schema node
+ * @param  {Object} schemas Document schemas (definitions)
+ * @param  {string} [name]  Property name
+ * @param  {number} [depth] Nesting depth (recursive models are cut off)
+ * @return {*}              Example value
+ */
+const buildExample = (node, schemas, name = '', depth = 0) => {
+  while (node && node.$ref) {
+    node = schemas[node.$ref.replace(/^#\/(definitions|components\/schemas)\//, '')];
+  }
+  if (!node || depth > 8) return null;
+  if (node.example !== undefined) return node.example;
+  if (node.enum && node.enum.length) return node.enum[0];
+  // Compositions (OpenAPI 3): the first variant, or all parts together
+  if (node.oneOf || node.anyOf) return buildExample((node.oneOf || node.anyOf)[0], schemas, name, depth + 1);
+  if (node.allOf) {
+    return Object.assign({}, ...node.allOf.map(part => buildExample(part, schemas, name, depth + 1)));
+  }
+
+  switch (node.type) {
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return true;
+    case 'string':
+      // The last page (otherwise paged methods would never end)
+      if (/cursor$/i.test(name)) return null;
+      if (node.format === 'date-time') return '2021-01-01T00:00:00.000Z';
+      return 'string';
+    case 'array':
+      return [buildExample(node.items, schemas, name, depth + 1)];
+    default: {
+      const result = {};
+      for (let [propName, propInfo] of Object.entries(node.properties || {})) {
+        result[propName] = buildExample(propInfo, schemas, propName, depth + 1);
+      }
+      return result;
+    }
+  }
+};
+
+/**
+ * Reads the documents of the snapshot (see "npm run snapshot")
+ * @param  {string} dir Snapshot directory
+ * @return {Object}     Documents ({ [API address]: { [version]: document } })
+ */
+const readSnapshot = dir => {
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+  const documents = {};
+  for (let [url, api] of Object.entries(index.apis)) {
+    documents[url] = {};
+    for (let [version, file] of Object.entries(api.documents)) {
+      documents[url][version] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+  }
+  return documents;
+};
+
+/**
+ * Local stub of Roblox servers. Responds to the methods of the documents (Swagger 2.0 or OpenAPI 3)
+ * with examples built from the response schemas. Addresses look like
+ * http://127.0.0.1:<port>/<host>/<path> (http://127.0.0.1:8080/chat.roblox.com/v2/send-message)
+ */
+class MockServer {
+  /**
+   * @param {Object}  [options]           Server options
+   * @param {string}  [options.snapshot]  Snapshot directory with the documents
+   * @param {Object}  [options.documents] Documents ({ 'https://chat.roblox.com': { v2: document } })
+   * @param {string}  [options.csrfToken] X-CSRF token required for POST, PATCH, etc (null - not required)
+   */
+  constructor({ snapshot = null, documents = {}, csrfToken = 'mock-csrf-token' } = {}) {
+    this.documents = { ...(snapshot ? readSnapshot(snapshot) : {}), ...documents };
+    this.csrfToken = csrfToken;
+    /** Received requests ({ method, url, headers, body }) */
+    this.requests = [];
+    this.overrides = [];
+    this.challenges = [];
+    this.routes = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.url = null;
+    this.baseURLs = {};
+
+    for (let [url, versions] of Object.entries(this.documents)) {
+      // Addresses of the specs can have a path (https://apis.roblox.com/cloud)
+      const { origin, pathname } = new URL(url);
+      for (let doc of Object.values(versions)) {
+        for (let [docPath, methods] of Object.entries(doc.paths || {})) {
+          // {param} matches any path segment
+          const pattern = (pathname.replace(/\/+$/, '') + docPath)
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{[^}]+\}/g, '[^/]+');
+          for (let [method, methodInfo] of Object.entries(methods)) {
+            if (HTTP_METHODS.indexOf(method) === -1) continue;
+            this.routes.push({
+              origin,
+              method: method.toUpperCase(),
+              regexp: new RegExp(`^${pattern}$`, 'i'),
+              methodInfo,
+              // Swagger 2.0 or OpenAPI 3
+              schemas: doc.definitions || (doc.components && doc.components.schemas) || {},
+              responses: (doc.components && doc.components.responses) || doc.responses || {}
+            });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Replaces the response of the method
+   * @param {string}          method   HTTP method (GET, POST, etc)
+   * @param {string}          url      Full address of the method (https://chat.roblox.com/v2/send-message)
+   * @param {Object|function} response Response ({ status, headers, body }) or function(request) returning it
+   */
+  respond(method, url, response) {
+    this.overrides.unshift({ method: method.toUpperCase(), url, response });
+  }
+
+  /**
+   * Requires a challenge (captcha, 2-step verification, etc) before the method responds, as Roblox does.
+   * The request is answered with 403 and the rblx-challenge-* headers until it is repeated
+   * with the ID of the issued challenge and the metadata accepted by "verify"
+   * @param {string}   method             HTTP method (GET, POST, etc)
+   * @param {string}   url                Full address of the method
+   * @param {Object}   [options]          Challenge options
+   * @param {string}   [options.type]     Challenge type (twostepverification by default)
+   * @param {*}        [options.metadata] Metadata sent to the client
+   * @param {function} [options.verify]   Checks the metadata of the solution (metadata, request) => Boolean
+   */
+  challenge(method, url, { type = 'twostepverification', metadata = {}, verify = () => true } = {}) {
+    this.challenges.unshift({ method: method.toUpperCase(), url, type, metadata, verify, issued: [] });
+  }
+
+  /**
+   * Starts the server
+   * @param  {number}              [port] Port (random by default)
+   * @return {Promise<MockServer>}        The server itself
+   */
+  listen(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        // Replacements for the "baseURLs" client option
+        for (let url of [XCSRF_ORIGIN, ...Object.keys(this.documents)]) {
+          const { origin, host } = new URL(url);
+          this.baseURLs[origin] = `${this.url}/${host}`;
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the server
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Request handling
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse}  res
+   */
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      // /chat.roblox.com/v2/send-message -> https://chat.roblox.com/v2/send-message
+      const [, host, rest = ''] = req.url.match(/^\/([^/?]+)(.*)$/) || [];
+      const [pathname] = rest.split('?');
+      const request = {
+        method: req.method,
+        url: `https://${host}${rest}`,
+        origin: `https://${host}`,
+        path: pathname || '/',
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString()
+      };
+      this.requests.push(request);
+
+      let response;
+      try {
+        response = await this.getResponse(request);
+      } catch (err) {
+        response = { status: 500, body: { errors: [{ code: 0, message: err.message }] } };
+      }
+
+      const body = typeof(response.body) === 'string' ? response.body : JSON.stringify(response.body);
+      res.writeHead(response.status || 200, {
+        'content-type': 'application/json; charset=utf-8',
+        ...response.headers
+      });
+      res.end(body === undefined ? '' : body);
+    });
+  }
+
+  /**
+   * Selects the response to the request
+   * @param  {Object}          request Received request
+   * @return {Promise<Object>}         Response ({ status, headers, body })
+   */
+  async getResponse(request) {
+    const url = `${request.origin}${request.path}`;
+    const challenge = this.challenges.find(challenge => {
+      return challenge.method === request.method && challenge.url.toLowerCase() === url.toLowerCase();
+    });
+    if (challenge) {
+      const id = request.headers[CHALLENGE_HEADERS.id];
+      const solution = decodeMetadata(request.headers[CHALLENGE_HEADERS.metadata]);
+      const isSolved = challenge.issued.indexOf(id) !== -1 && await challenge.verify(solution, request);
+      if (!isSolved) {
+        const challengeId = crypto.randomUUID();
+        challenge.issued.push(challengeId);
+        return {
+          status: 403,
+          headers: {
+            [CHALLENGE_HEADERS.id]: challengeId,
+            [CHALLENGE_HEADERS.type]: challenge.type,
+            [CHALLENGE_HEADERS.metadata]: encodeMetadata({ ...challenge.metadata, challengeId })
+          },
+          body: { errors: [{ code: 0, message: 'Challenge is required to authorize the request' }] }
+        };
+      }
+    }
+
+    const override = this.overrides.find(override => {
+      return override.method === request.method && override.url.toLowerCase() === url.toLowerCase();
+    });
+    if (override) {
+      return typeof(override.response) === 'function'
+        ? override.response(request)
+        : override.response;
+    }
+
+    // X-CSRF token check, as Roblox does
+    if (this.csrfToken && CSRF_METHODS.indexOf(request.method) !== -1) {
+      const isLogout = request.origin === XCSRF_ORIGIN && request.path === XCSRF_PATH;
+      if (isLogout || request.headers['x-csrf-token'] !== this.csrfToken) {
+        return {
+          status: 403,
+          headers: { 'x-csrf-token': this.csrfToken },
+          body: { errors: [{ code: 0, message: 'Token Validation Failed' }] }
+        };
+      }
+    }
+
+    const route = this.routes.find(route => {
+      return route.origin === request.origin &&
+        route.method === request.method &&
+        route.regexp.test(request.path);
+    });
+    if (!route) {
+      return { status: 404, body: { errors: [{ code: 0, message: 'NotFound' }] } };
+    }
+
+    const responses = route.methodInfo.responses || {};
+    const status = Object.keys(responses).filter(code => /^2\d\d$/.test(code)).sort()[0] || '200';
+    let response = responses[status] || {};
+    if (response.$ref) {
+      // Shared responses of the document
+      response = route.responses[response.$ref.split('/').pop()] || {};
+    }
+    // OpenAPI 3 responses have a schema for each media type
+    const content = response.content || {};
+    const mediaType = Object.keys(content).find(type => /json/i.test(type)) || Object.keys(content)[0];
+    const schema = response.schema || (mediaType ? content[mediaType].schema : null);
+    return {
+      status: Number(status),
+      body: schema ? buildExample(schema, route.schemas) : {}
+    };
+  }
+}
+
+module.exports = { MockServer, buildExample };
@@ -0,0 +1,68 @@
+/// <reference types="node" />
+import { Readable } from 'stream';
+import { CallOptions } from './call-options';
+
+/** File with explicit name, content type or size */
+export interface UploadFileOptions {
+  /** Contents: Buffer, stream or path */
+  data: Buffer | Uint8Array | NodeJS.ReadableStream | string;
+  /** File name (by default, the name of the path or the field) */
+  filename?: string;
+  /** Content type (by default, by the extension of the file name) */
+  contentType?: string;
+  /** Size of the stream (so that Content-Length can be sent) */
+  knownLength?: number;
+}
+
+/** File of a form data parameter: Buffer, stream, path or a file with options */
+export type UploadFile = Buffer | Uint8Array | NodeJS.ReadableStream | string | UploadFileOptions;
+
+/** Progress of the upload */
+export interface UploadProgress {
+  /** Bytes sent */
+  loaded: number;
+  /** Size of the body (null if the size of a stream is unknown) */
+  total: number | null;
+  /** Field being sent (null at the end of the body) */
+  field: string | null;
+}
+
+/** Options of the methods that upload files */
+export interface UploadOptions extends CallOptions {
+  /** Receives the progress as the body is sent */
+  onUploadProgress?: (progress: UploadProgress) => void;
+}
+
+/**
+ * Multipart body (multipart/form-data) of a request. It is sent as a stream, files are not read into memory.
+ * Files (paths) and Buffers can be sent again (X-CSRF token, retries), streams are read only once
+ */
+export class MultipartBody {
+  /**
+   * @param fields    Values of the fields (null ones are skipped, arrays are sent as several parts)
+   * @param [options] Fields whose strings are file paths, progress callback
+   */
+  constructor(
+    fields: { [name: string]: any },
+    options?: { files?: Array<string>; onUploadProgress?: ((progress: UploadProgress) => void) | null }
+  );
+  boundary: string;
+  /** Checks whether the body can be sent again (it has no streams of the caller) */
+  isReplayable(): boolean;
+  /** Size of the body in bytes (null if the size of a stream is unknown) */
+  getLength(): number | null;
+  /** Prepares the body for an attempt of the request */
+  prepare(): { headers: { [name: string]: string | number }; stream: Readable };
+}
+
+/** Returns the multipart body of the request data (the body itself or a stream prepared from it) */
+export function getMultipartBody(data: any): MultipartBody | null;
+
+/** Replaces the multipart body of the request with a new stream for an attempt of the request */
+export function prepareMultipart<T extends { data?: any; headers?: any }>(config: T): T;
+
+/** Builds the body of an application/x-www-form-urlencoded form (null fields are skipped) */
+export function createUrlEncodedBody(fields: { [name: string]: any }): URLSearchParams;
+
+/** Returns the content type of the file by its name */
+export function getContentType(filename: string): string;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Content types of the uploaded files by extension (the rest are application/octet-stream)
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.tga': 'image/x-tga',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.fbx': 'model/fbx',
+  '.obj': 'model/obj',
+  '.gltf': 'model/gltf+json',
+  '.glb': 'model/gltf-binary',
+  '.rbxm': 'model/x-rbxm',
+  '.rbxmx': 'model/x-rbxm',
+  '.rbxl': 'application/octet-stream',
+  '.rbxlx': 'application/xml',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain'
+};
+
+const CRLF = '\r\n';
+
+// Key of the prepared stream under which its body is stored. The data of the config is replaced
+// with the stream, so a repeated request gets the stream instead of the body
+const multipartBody = Symbol('multipartBody');
+
+/**
+ * Checks whether the value is a readable stream
+ * @param  {*}       value Value
+ * @return {Boolean}
+ */
+const isStream = value => Boolean(value) && typeof value.pipe === 'function';
+
+/**
+ * Returns the content type of the file by its name
+ * @param  {string} filename File name
+ * @return {string}          Content type
+ */
+const getContentType = filename => CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Escapes the name for the Content-Disposition header (as browsers do)
+ * @param  {string} name Field or file name
+ * @return {string}      Escaped name
+ */
+const escapeName = name => String(name).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+/**
+ * Converts the value of the field to a part of the body
+ * @param  {string}  name   Field name
+ * @param  {*}       value  Value: Buffer, stream, path (file fields), { data, filename, contentType, knownLength }
+ *                          or a plain value (objects are sent as JSON)
+ * @param  {Boolean} isFile Strings of the field are file paths
+ * @return {Object}         Part ({ name, filename, contentType, buffer, path, stream, knownLength })
+ */
+const toPart = (name, value, isFile) => {
+  // File with explicit name, type or length
+  if (value && typeof(value) === 'object' && !Buffer.isBuffer(value) && !isStream(value) && 'data' in value) {
+    const part = toPart(name, value.data, true);
+    return {
+      ...part,
+      filename: value.filename || part.filename,
+      contentType: value.contentType || getContentType(value.filename || part.filename),
+      knownLength: value.knownLength != null ? value.knownLength : part.knownLength
+    };
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { name, filename: name, contentType: getContentType(name), buffer: Buffer.from(value) };
+  }
+  if (isStream(value)) {
+    // Files opened with fs.createReadStream have a path (and a known size, if they are read entirely)
+    const filename = typeof(value.path) === 'string' ? path.basename(value.path) : name;
+    const entire = typeof(value.path) === 'string' && value.start === undefined && value.end === Infinity;
+    return {
+      name,
+      filename,
+      contentType: getContentType(filename),
+      stream: value,
+      knownLength: entire ? () => fs.statSync(value.path).size : null
+    };
+  }
+  if (isFile && typeof(value) === 'string') {
+    return { name, filename: path.basename(value), contentType: getContentType(value), path: value };
+  }
+
+  const isJSON = typeof(value) === 'object' && !(value instanceof Date);
+  return {
+    name,
+    contentType: isJSON ? 'application/json' : null,
+    buffer: Buffer.from(
+      value instanceof Date ? value.toISOString() : isJSON ? JSON.stringify(value) : String(value)
+    )
+  };
+};
+
+/**
+ * Multipart body (multipart/form-data) of a request. It is sent as a stream, files are not read into memory.
+ * A new stream is created for each attempt of the request, so files (paths) and Buffers can be sent again
+ * (X-CSRF token, retries), while streams of the caller are read only once
+ */
+class MultipartBody {
+  /**
+   * @param {Object}                  fields                     Values of the fields ({ [name]: value }), null ones are skipped,
+   *                                                             arrays are sent as several parts with the same name
+   * @param {Object}                  [options]                  Body options
+   * @param {Array<string>}           [options.files]            Fields whose strings are file paths (file parameters)
+   * @param {function(Object):void}   [options.onUploadProgress] Receives the progress ({ loaded, total, field }) as the body is sent,
+   *                                                             total is null if the size of a stream is unknown
+   */
+  constructor(fields, { files = [], onUploadProgress = null } = {}) {
+    this.boundary = `----RbxApiClient${crypto.randomBytes(12).toString('hex')}`;
+    this.onUploadProgress = onUploadProgress;
+    this.parts = [];
+    this.streamed = false;
+
+    for (let [name, value] of Object.entries(fields || {})) {
+      for (let item of [].concat(value)) {
+        if (item === undefined || item === null) continue;
+        this.parts.push(toPart(name, item, files.indexOf(name) !== -1));
+      }
+    }
+  }
+
+  /**
+   * Builds the headers of the part
+   * @param  {Object} part Part
+   * @return {Buffer}      Headers (with the boundary before them)
+   */
+  buildPartHeader(part) {
+    const filename = part.filename !== undefined ? `; filename="${escapeName(part.filename)}"` : '';
+    return Buffer.from(
+      `--${this.boundary}${CRLF}` +
+      `Content-Disposition: form-data; name="${escapeName(part.name)}"${filename}${CRLF}` +
+      (part.contentType ? `Content-Type: ${part.contentType}${CRLF}` : '') +
+      CRLF
+    );
+  }
+
+  /**
+   * Checks whether the body can be sent again (it has no streams of the caller)
+   * @return {Boolean}
+   */
+  isReplayable() {
+    return !this.parts.some(part => part.stream);
+  }
+
+  /**
+   * Calculates the size of the body
+   * @return {number} Size in bytes (null if the size of a stream is unknown)
+   */
+  getLength() {
+    let length = Buffer.byteLength(`--${this.boundary}--${CRLF}`);
+    for (let part of this.parts) {
+      let size;
+      if (part.buffer) {
+        size = part.buffer.length;
+      } else if (part.path) {
+        size = fs.statSync(part.path).size;
+      } else {
+        size = typeof(part.knownLength) === 'function' ? part.knownLength() : part.knownLength;
+      }
+      if (size == null) return null;
+      length += this.buildPartHeader(part).length + size + CRLF.length;
+    }
+    return length;
+  }
+
+  /**
+   * Prepares the body for an attempt of the request
+   * @return {Object} { headers: { Content-Type, Content-Length }, stream }
+   */
+  prepare() {
+    if (this.streamed && !this.isReplayable()) {
+      throw new Error(
+        'The multipart body cannot be sent again, streams are read only once (pass a path or a Buffer instead)'
+      );
+    }
+    this.streamed = true;
+
+    const total = this.getLength();
+    const headers = { 'Content-Type': `multipart/form-data; boundary=${this.boundary}` };
+    if (total !== null) {
+      headers['Content-Length'] = total;
+    }
+    const stream = Readable.from(this.generate(total), { objectMode: false });
+    stream[multipartBody] = this;
+    return { headers, stream };
+  }
+
+  /**
+   * Generates the chunks of the body (files are read as they are sent)
+   * @param {number} total Size of the body (null if unknown)
+   */
+  async *generate(total) {
+    let loaded = 0;
+    const report = (chunk, field) => {
+      loaded += chunk.length;
+      if (this.onUploadProgress) {
+        this.onUploadProgress({ loaded, total, field });
+      }
+      return chunk;
+    };
+
+    for (let part of this.parts) {
+      yield report(this.buildPartHeader(part), part.name);
+      if (part.buffer) {
+        yield report(part.buffer, part.name);
+      } else {
+        for await (let chunk of part.path ? fs.createReadStream(part.path) : part.stream) {
+          yield report(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk), part.name);
+        }
+      }
+      yield report(Buffer.from(CRLF), part.name);
+    }
+    yield report(Buffer.from(`--${this.boundary}--${CRLF}`), null);
+  }
+}
+
+/**
+ * Returns the multipart body of the request data (the body itself or a stream prepared from it)
+ * @param  {*}             data Request data
+ * @return {MultipartBody}      Body (null if the data is not multipart)
+ */
+const getMultipartBody = data => {
+  if (data instanceof MultipartBody) {
+    return data;
+  }
+  return (isStream(data) && data[multipartBody]) || null;
+};
+
+/**
+ * Replaces the multipart body of the request with a new stream for an attempt of the request
+ * @param  {Object} config Request config
+ * @return {Object}        The config itself (with the stream and the headers of the body)
+ */
+const prepareMultipart = config => {
+  const body = getMultipartBody(config.data);
+  if (body) {
+    const { headers, stream } = body.prepare();
+    config.headers = { ...config.headers, ...headers };
+    config.data = stream;
+  }
+  return config;
+};
+
+/**
+ * Builds the body of an application/x-www-form-urlencoded form (null fields are skipped)
+ * @param  {Object}          fields Values of the fields
+ * @return {URLSearchParams}        Body
+ */
+const createUrlEncodedBody = fields => {
+  const body = new URLSearchParams();
+  for (let [name, value] of Object.entries(fields || {})) {
+    for (let item of [].concat(value)) {
+      if (item !== undefined && item !== null) body.append(name, String(item));
+    }
+  }
+  return body;
+};
+
+module.exports = { MultipartBody, getMultipartBody, prepareMultipart, createUrlEncodedBody, getContentType };
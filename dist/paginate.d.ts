@@ -0,0 +1,34 @@
+import { CallOptions } from './call-options';
+
+/**
+ * Iterates over the items of a cursor-paged method (nextPageCursor / data)
+ * @param fetchPage Requests one page ({ cursor, limit } => page)
+ * @param [options] Pagination options
+ * @param [limits]  Page sizes allowed by the method
+ * @return          Iterator over the items of all pages
+ */
+declare function paginate<T>(
+  fetchPage: (page: paginate.Page) => Promise<{ data?: Array<T>; nextPageCursor?: string | null }>,
+  options?: paginate.PaginationOptions,
+  limits?: Array<number> | null
+): AsyncIterableIterator<T>;
+
+declare namespace paginate {
+  /** Page requested by the iterator */
+  interface Page {
+    cursor: string | null;
+    limit: number | null;
+  }
+
+  /** Pagination options, the call options are applied to each page request */
+  interface PaginationOptions extends Omit<CallOptions, 'raw'> {
+    /** Number of items per request (rounded up to the size allowed by the method) */
+    pageSize?: number;
+    /** Maximum number of items (all by default) */
+    maxItems?: number;
+    /** Cursor from which to start */
+    cursor?: string | null;
+  }
+}
+
+export = paginate;
@@ -0,0 +1,51 @@
+/**
+ * Selects the page size from the sizes allowed by the method
+ * @param  {number}        pageSize Desired page size
+ * @param  {number}        maxItems Maximum number of items
+ * @param  {Array<number>} limits   Allowed page sizes (null if any)
+ * @return {number}                 Page size (null - server default)
+ */
+const pickLimit = (pageSize, maxItems, limits) => {
+  if (!limits || !limits.length) {
+    return pageSize || null;
+  }
+
+  const allowed = limits.slice().sort((a, b) => a - b);
+  const largest = allowed[allowed.length - 1];
+  // By default, as few requests as possible, but no more items than needed
+  const desired = pageSize || Math.min(maxItems, largest);
+  return allowed.find(limit => limit >= desired) || largest;
+};
+
+/**
+ * Iterates over the items of a cursor-paged method (nextPageCursor / data)
+ * @param  {function(Object):Promise<Object>} fetchPage          Requests one page ({ cursor, limit } => page)
+ * @param  {Object}                           [options]          Pagination options
+ * @param  {number}                           [options.pageSize] Number of items per request
+ * @param  {number}                           [options.maxItems] Maximum number of items (all by default)
+ * @param  {string}                           [options.cursor]   Cursor from which to start
+ * @param  {Array<number>}                    [limits]           Page sizes allowed by the method
+ * @return {AsyncIterableIterator<*>}                            Iterator over the items of all pages
+ */
+async function* paginate(fetchPage, options = {}, limits = null) {
+  const maxItems = options.maxItems != null ? options.maxItems : Infinity;
+  const limit = pickLimit(options.pageSize, maxItems, limits);
+  let cursor = options.cursor || null;
+  let count = 0;
+
+  while (count < maxItems) {
+    const page = await fetchPage({ cursor, limit });
+
+    for (let item of page.data || []) {
+      if (count >= maxItems) return;
+      count++;
+      yield item;
+    }
+
+    // The last page has no cursor to the next one
+    cursor = page.nextPageCursor;
+    if (!cursor) return;
+  }
+}
+
+module.exports = paginate;
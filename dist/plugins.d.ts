@@ -0,0 +1,125 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+import { Session } from './sessions';
+import { AuthStrategy } from './auth';
+import { RbxApiError } from './errors';
+import { ChallengeHandler } from './challenge';
+
+/** Context of the request passed to the hooks */
+export interface PluginContext {
+  /** Method of the API (Groups.v1.GetUsers), null for direct requests */
+  operation: string | null;
+  /** API name (Groups) */
+  api: string | null;
+  /** API version (v1) */
+  version: string | null;
+  /** Method name (GetUsers) */
+  method: string | null;
+  /** HTTP method (GET, POST, etc) */
+  verb: string;
+  url: string;
+  /** Request config (can be changed in beforeRequest) */
+  config: AxiosRequestConfig;
+  /** Account from which the request is sent */
+  account: string;
+  session: Session | undefined;
+  /** Auth strategy of the account */
+  auth: AuthStrategy | undefined;
+  /** Number of the repetition (retry policy) */
+  attempt: number;
+  /** Time of the start of the request (ms) */
+  startedAt: number;
+  /** Name of the plugin that responded instead of the server */
+  shortCircuitedBy: string | null;
+  /** The client itself */
+  client: import('./client').RbxAxiosInstance;
+  /** Data of the plugins for this request */
+  state: { [key: string]: any };
+  /** Repeats the request (with the changes of the config), returns its result */
+  retry(changes?: AxiosRequestConfig): Promise<any>;
+}
+
+/** Response of a plugin instead of the server */
+export interface PluginResponse {
+  data: any;
+  status?: number;
+  statusText?: string;
+  headers?: { [name: string]: string };
+}
+
+/** Plugin (all hooks are optional and can be asynchronous) */
+export interface Plugin {
+  name?: string;
+  /**
+   * Called before the request is sent (in the order of registration).
+   * Returning a response short-circuits the request, it is not sent
+   */
+  beforeRequest?(context: PluginContext): PluginResponse | void | Promise<PluginResponse | void>;
+  /** Called with the successful response, can return a replacement */
+  afterResponse?(context: PluginContext, response: AxiosResponse): AxiosResponse | void | Promise<AxiosResponse | void>;
+  /**
+   * The plugin recovers from errors (the built-in challenge, csrf and auth plugins): its onError hook
+   * is called after the hooks of the other plugins
+   */
+  recovery?: boolean;
+  /**
+   * Called with the error of the request. Returning something (a value or a promise, for example context.retry())
+   * handles the error, the result becomes the result of the request. undefined - pass to the next plugin
+   */
+  onError?(context: PluginContext, error: RbxApiError): any;
+}
+
+/** Timing metrics of an endpoint (ms) */
+export interface TimingMetric {
+  count: number;
+  errors: number;
+  total: number;
+  min: number;
+  max: number;
+  average: number;
+}
+
+/** Plugin that collects timing metrics */
+export interface TimingPlugin extends Plugin {
+  /** Metrics per endpoint (API method, or address for direct requests) */
+  metrics(): { [endpoint: string]: TimingMetric };
+  /** Clears the metrics */
+  reset(): void;
+}
+
+/** Options of the logging plugin */
+export interface LoggingOptions {
+  /** Receives the entries (JSON lines to stdout by default) */
+  log?: (entry: { [key: string]: any }) => void;
+  /** Also log the start of requests */
+  requests?: boolean;
+}
+
+/** URL (POST-method) from which the X-CSRF token will be taken */
+export const XCSRFEndpoint: string;
+
+/** Calls the beforeRequest hooks in the order of registration */
+export function runBeforeRequest(plugins: Array<Plugin>, context: PluginContext): Promise<PluginResponse | undefined>;
+
+/** Calls the afterResponse hooks in the order of registration */
+export function runAfterResponse(plugins: Array<Plugin>, context: PluginContext, response: AxiosResponse): Promise<AxiosResponse>;
+
+/**
+ * Calls the onError hooks in the order of registration, recovery plugins last
+ * (rejects the error if no hook has handled it)
+ */
+export function runOnError(plugins: Array<Plugin>, context: PluginContext, error: RbxApiError): Promise<any>;
+
+/** Solves challenges (captcha, 2-step verification) with the user handler and repeats the request */
+export function createChallengePlugin(onChallenge?: ChallengeHandler): Plugin;
+
+/** Updates the X-CSRF token of the account when Roblox rejects it and repeats the request */
+export function createCsrfPlugin(): Plugin;
+
+/** Refreshes the cookie of the account when it is outdated (401) and repeats the request */
+export function createAuthPlugin(): Plugin;
+
+/** Structured logging of requests */
+export function createLoggingPlugin(options?: LoggingOptions): Plugin;
+
+/** Timing metrics of requests per endpoint */
+export function createTimingPlugin(): TimingPlugin;
@@ -0,0 +1,274 @@
+const { RbxCsrfError, isCsrfFailure } = require('./errors');
+const { getChallenge, buildChallengeHeaders } = require('./challenge');
+
+// URL (POST-method) from which the X-CSRF token will be taken
+const XCSRFEndpoint = 'https://auth.roblox.com/v2/logout';
+
+// How many challenges in a row can be solved for one request
+const MAX_CHALLENGES = 3;
+
+/**
+ * Calls the beforeRequest hooks in the order of registration.
+ * The first hook that returns a response short-circuits the request (it is not sent)
+ * @param  {Array<Object>}   plugins Plugins
+ * @param  {Object}          context Request context
+ * @return {Promise<Object>}         Response of the plugin ({ data, status, headers }), undefined - send the request
+ */
+const runBeforeRequest = async (plugins, context) => {
+  for (let plugin of plugins) {
+    if (!plugin.beforeRequest) continue;
+    const response = await plugin.beforeRequest(context);
+    if (response !== undefined) {
+      context.shortCircuitedBy = plugin.name || 'anonymous';
+      return response;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Calls the afterResponse hooks in the order of registration. Each hook can replace the response
+ * @param  {Array<Object>}   plugins  Plugins
+ * @param  {Object}          context  Request context
+ * @param  {Object}          response Server response
+ * @return {Promise<Object>}          Final response
+ */
+const runAfterResponse = async (plugins, context, response) => {
+  for (let plugin of plugins) {
+    if (!plugin.afterResponse) continue;
+    const replacement = await plugin.afterResponse(context, response);
+    if (replacement !== undefined) {
+      response = replacement;
+    }
+  }
+  return response;
+};
+
+/**
+ * Calls the onError hooks in the order of registration. The first hook that returns something
+ * (a value or a promise, for example context.retry()) handles the error, its result is the result of the request.
+ * Recovery plugins (challenges, X-CSRF, token refresh) are called after the others, so that logging and metrics
+ * see the errors that are recovered from too
+ * @param  {Array<Object>} plugins Plugins
+ * @param  {Object}        context Request context
+ * @param  {RbxApiError}   error   Request error
+ * @return {Promise<*>}            Result of the handler (the error is rejected if no hook has handled it)
+ */
+const runOnError = async (plugins, context, error) => {
+  const ordered = [...plugins.filter(plugin => !plugin.recovery), ...plugins.filter(plugin => plugin.recovery)];
+  for (let plugin of ordered) {
+    if (!plugin.onError) continue;
+    const result = plugin.onError(context, error);
+    if (result !== undefined) {
+      return result;
+    }
+  }
+  throw error;
+};
+
+/**
+ * Solves challenges (captcha, 2-step verification) with the user handler and repeats the request
+ * @param  {function(Object):Promise<Object>} onChallenge Handler ({ id, type, metadata, ... } => { metadata })
+ * @return {Object}                                       Plugin
+ */
+const createChallengePlugin = onChallenge => ({
+  name: 'challenge',
+  recovery: true,
+  onError(context, error) {
+    const challenge = getChallenge(error.response);
+    const attempt = context.config.challengeAttempt || 0;
+    // Without a handler, the error is rejected as RbxChallengeError
+    if (!challenge || !onChallenge || attempt >= MAX_CHALLENGES) {
+      return undefined;
+    }
+
+    return Promise.resolve(onChallenge({
+      ...challenge,
+      account: context.account,
+      operation: context.operation,
+      config: context.config
+    })).then(solution => {
+      if (!solution) {
+        throw error;
+      }
+      return context.retry({
+        challengeAttempt: attempt + 1,
+        headers: { ...context.config.headers, ...buildChallengeHeaders(challenge, solution) }
+      });
+    });
+  }
+});
+
+/**
+ * Updates the X-CSRF token of the account when Roblox rejects it and repeats the request
+ * (only for the auth strategies that use X-CSRF tokens)
+ * @return {Object} Plugin
+ */
+const createCsrfPlugin = () => ({
+  name: 'csrf',
+  recovery: true,
+  onError(context, error) {
+    // Other 403 errors are returned as is
+    if (!isCsrfFailure(error.response) || (context.auth && !context.auth.csrf)) {
+      return undefined;
+    }
+
+    // if we make a request for an endpoint from which we will receive a token
+    if (context.config.url === XCSRFEndpoint) {
+      const XCSRF = error.response.headers['x-csrf-token'];
+      if (!XCSRF) {
+        // if the endpoint hasn't attached a token
+        return Promise.reject(new RbxCsrfError('Cannot get X-CSRF-TOKEN, change API endpoint', {
+          config: context.config,
+          response: error.response,
+          cause: error
+        }));
+      }
+      // Each account has its own token
+      return context.session.update({ csrfToken: XCSRF });
+    }
+
+    // The token is requested only once, a repeated rejection is an error
+    if (context.config.csrfRetried) {
+      return undefined;
+    }
+    // request after FAILURE of which the token will be received in the header
+    return context.client.post(XCSRFEndpoint, null, { account: context.account }).then(
+      // retry with new token
+      () => context.retry({ csrfRetried: true })
+    );
+  }
+});
+
+/**
+ * Refreshes the token of the account with its auth strategy when it is outdated (401) and repeats the request.
+ * A session shouldn't be out of date in the middle of a job, usually.
+ * If this happens and the token cannot be refreshed, RbxAuthError will occur
+ * @return {Object} Plugin
+ */
+const createAuthPlugin = () => ({
+  name: 'auth',
+  recovery: true,
+  onError(context, error) {
+    const { session, auth } = context;
+    if (error.status !== 401 || !session || !auth || context.config.refreshed) {
+      return undefined;
+    }
+
+    // If the token has already been refreshed by another request, then just repeat
+    const isOutdated = !auth.isCurrent(session, context.config.headers);
+    // The new token will be attached to the repeated request (and saved to the store)
+    return (isOutdated ? Promise.resolve(true) : auth.refresh(session, context.client)).then(refreshed => {
+      if (!refreshed) {
+        throw error;
+      }
+      return context.retry({ refreshed: true });
+    });
+  }
+});
+
+/**
+ * Builds a log entry of the request
+ * @param  {string} event   Event (request, response, error)
+ * @param  {Object} context Request context
+ * @return {Object}         Entry
+ */
+const buildLogEntry = (event, context) => ({
+  time: new Date().toISOString(),
+  event,
+  operation: context.operation,
+  verb: context.verb,
+  url: context.url,
+  account: context.account,
+  attempt: context.attempt
+});
+
+/**
+ * Structured logging of requests (one object per event)
+ * @param  {Object}   [options]          Logging options
+ * @param  {function} [options.log]      Receives the entries (JSON lines to stdout by default)
+ * @param  {Boolean}  [options.requests] Also log the start of requests
+ * @return {Object}                      Plugin
+ */
+const createLoggingPlugin = ({ log = entry => console.log(JSON.stringify(entry)), requests = false } = {}) => ({
+  name: 'logging',
+  beforeRequest(context) {
+    if (requests) {
+      log(buildLogEntry('request', context));
+    }
+  },
+  afterResponse(context, response) {
+    log({
+      ...buildLogEntry('response', context),
+      status: response.status,
+      duration: Date.now() - context.startedAt,
+      shortCircuitedBy: context.shortCircuitedBy || null
+    });
+  },
+  onError(context, error) {
+    log({
+      ...buildLogEntry('error', context),
+      status: error.status,
+      error: error.name,
+      message: error.message,
+      requestId: error.requestId,
+      duration: Date.now() - context.startedAt
+    });
+  }
+});
+
+/**
+ * Timing metrics of requests per endpoint (API method, or address for direct requests)
+ * @return {Object} Plugin with the metrics() and reset() methods
+ */
+const createTimingPlugin = () => {
+  let metrics = {};
+
+  const record = (context, failed) => {
+    const key = context.operation || `${context.verb} ${context.url.split('?')[0]}`;
+    const duration = Date.now() - context.startedAt;
+    const metric = metrics[key] || (metrics[key] = { count: 0, errors: 0, total: 0, min: Infinity, max: 0 });
+    metric.count++;
+    metric.errors += failed ? 1 : 0;
+    metric.total += duration;
+    metric.min = Math.min(metric.min, duration);
+    metric.max = Math.max(metric.max, duration);
+  };
+
+  return {
+    name: 'timing',
+    afterResponse(context) {
+      record(context, false);
+    },
+    onError(context) {
+      record(context, true);
+    },
+    /**
+     * Collected metrics
+     * @return {Object} { [endpoint]: { count, errors, total, min, max, average } } (in ms)
+     */
+    metrics() {
+      const result = {};
+      for (let [key, metric] of Object.entries(metrics)) {
+        result[key] = { ...metric, average: Math.round(metric.total / metric.count) };
+      }
+      return result;
+    },
+    /** Clears the metrics */
+    reset() {
+      metrics = {};
+    }
+  };
+};
+
+module.exports = {
+  XCSRFEndpoint,
+  runBeforeRequest,
+  runAfterResponse,
+  runOnError,
+  createChallengePlugin,
+  createCsrfPlugin,
+  createAuthPlugin,
+  createLoggingPlugin,
+  createTimingPlugin
+};
@@ -0,0 +1,16 @@
+import { AxiosAdapter, AxiosRequestConfig } from 'axios';
+
+/** Builds the key by which the recorded response is found (method, address, parameters and body) */
+export function getRequestKey(config: AxiosRequestConfig): string;
+
+/** Wraps the adapter so that all request/response pairs are saved to the fixtures file */
+export function createRecordingAdapter(adapter: AxiosAdapter, file: string): AxiosAdapter;
+
+/** Creates an adapter that serves the recorded responses instead of sending requests */
+export function createReplayAdapter(file: string): AxiosAdapter;
+
+/** Wraps the adapter so that requests to Roblox are sent to other addresses */
+export function createRedirectingAdapter(
+  adapter: AxiosAdapter,
+  baseURLs: { [origin: string]: string }
+): AxiosAdapter;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const qs = require('qs');
+const settle = require('axios/lib/core/settle');
+const createError = require('axios/lib/core/createError');
+
+// Response headers that are not saved to fixtures (they contain secrets)
+const REDACTED_HEADERS = ['set-cookie'];
+
+/**
+ * Builds the key by which the recorded response is found (method, address, parameters and body)
+ * @param  {Object} config Request config (as received by the adapter)
+ * @return {string}        Request key
+ */
+const getRequestKey = config => {
+  const params = qs.stringify(config.params || {}, {
+    arrayFormat: 'repeat',
+    sort: (a, b) => a.localeCompare(b)
+  });
+  const url = params ? `${config.url}${config.url.indexOf('?') === -1 ? '?' : '&'}${params}` : config.url;
+  const body = typeof(config.data) === 'string' ? config.data : '';
+  return `${(config.method || 'get').toUpperCase()} ${url} ${body}`.trim();
+};
+
+/**
+ * Reads fixtures from the file
+ * @param  {string}        file Path to the fixtures file
+ * @return {Array<Object>}      Recorded request/response pairs
+ */
+const readFixtures = file => {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+};
+
+/**
+ * Wraps the adapter so that all request/response pairs are saved to the fixtures file
+ * (including intermediate requests: X-CSRF token, repeated requests after refreshing the cookie, etc).
+ * Request headers are not saved, so cookies do not get into the fixtures
+ * @param  {function} adapter Axios adapter that sends requests
+ * @param  {string}   file    Path to the fixtures file (overwritten)
+ * @return {function}         Axios adapter
+ */
+const createRecordingAdapter = (adapter, file) => {
+  const fixtures = [];
+
+  const record = (config, response) => {
+    const headers = { ...response.headers };
+    for (let name of REDACTED_HEADERS) delete headers[name];
+
+    fixtures.push({
+      request: {
+        key: getRequestKey(config),
+        method: (config.method || 'get').toUpperCase(),
+        url: config.url,
+        params: config.params || null,
+        data: typeof(config.data) === 'string' ? config.data : null
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        data: response.data
+      }
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixtures, null, 2));
+  };
+
+  return config => adapter(config).then(response => {
+    record(config, response);
+    return response;
+  }, err => {
+    // Errors without a response (network) are not recorded, they cannot be replayed
+    if (err.response) record(config, err.response);
+    return Promise.reject(err);
+  });
+};
+
+/**
+ * Creates an adapter that serves the recorded responses instead of sending requests.
+ * Identical requests receive the recorded responses in the order in which they were recorded
+ * @param  {string}   file Path to the fixtures file
+ * @return {function}      Axios adapter
+ */
+const createReplayAdapter = file => {
+  const queues = {};
+  for (let fixture of readFixtures(file)) {
+    queues[fixture.request.key] = queues[fixture.request.key] || [];
+    queues[fixture.request.key].push(fixture.response);
+  }
+
+  return config => new Promise((resolve, reject) => {
+    const key = getRequestKey(config);
+    const queue = queues[key];
+
+    if (!queue || !queue.length) {
+      return reject(createError(`No recorded response for "${key}" in ${file}`, config, 'ENOFIXTURE'));
+    }
+
+    // The last response is repeated if the request is sent more times than it was recorded
+    const recorded = queue.length > 1 ? queue.shift() : queue[0];
+    settle(resolve, reject, { ...recorded, headers: { ...recorded.headers }, config, request: null });
+  });
+};
+
+/**
+ * Wraps the adapter so that requests to Roblox are sent to other addresses (for example, to a local server).
+ * The request config keeps the original address
+ * @param  {function} adapter  Axios adapter that sends requests
+ * @param  {Object}   baseURLs Replacements ({ 'https://chat.roblox.com': 'http://localhost:8080/chat.roblox.com' })
+ * @return {function}          Axios adapter
+ */
+const createRedirectingAdapter = (adapter, baseURLs) => {
+  const replace = url => {
+    for (let [from, to] of Object.entries(baseURLs)) {
+      if (url === from || url.startsWith(`${from}/`) || url.startsWith(`${from}?`)) {
+        return to + url.slice(from.length);
+      }
+    }
+    return url;
+  };
+
+  return config => adapter({ ...config, url: replace(config.url) }).then(response => {
+    response.config = config;
+    return response;
+  }, err => {
+    err.config = config;
+    if (err.response) err.response.config = config;
+    return Promise.reject(err);
+  });
+};
+
+module.exports = {
+  createRecordingAdapter,
+  createReplayAdapter,
+  createRedirectingAdapter,
+  getRequestKey
+};
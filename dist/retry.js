@@ -0,0 +1,121 @@
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Network errors that occur before the request is sent (the connection was not established).
+// Only they allow repeating non-idempotent requests
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Network errors that can disappear on the next attempt (connection errors and timeouts).
+// Other errors without a response (a missing file, a wrong argument) are not repeated
+const NETWORK_ERRORS = [...NOT_SENT_ERRORS, 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE'];
+
+const defaultOptions = {
+  // Maximum number of repetitions
+  retries: 3,
+  // Backoff: minDelay * factor ^ attempt, but no more than maxDelay
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  // Random delay from 0 to the calculated one ("full jitter")
+  jitter: true,
+  // If the server asks to wait longer (Retry-After, etc), then the error is not repeated
+  maxRetryAfter: 60000,
+  // Methods that can be repeated after the server has received the request
+  methods: IDEMPOTENT_METHODS,
+  // Rules for statuses (false - do not repeat)
+  statuses: {
+    429: {},
+    500: {},
+    502: {},
+    503: {},
+    504: {}
+  },
+  // Rule for errors without a response (connection errors, timeouts)
+  network: {}
+};
+
+/**
+ * Returns the delay requested by the server (Retry-After, x-ratelimit-reset)
+ * @param  {Object} headers Response headers
+ * @return {number}         Delay in ms (null if not specified)
+ */
+const getRetryAfter = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    // Either the number of seconds or the date
+    const seconds = Number(retryAfter);
+    const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!isNaN(ms)) return Math.max(0, ms);
+  }
+
+  // Seconds until the limit is reset
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (headers['x-ratelimit-reset'] && !isNaN(reset)) {
+    return Math.max(0, reset * 1000);
+  }
+
+  return null;
+};
+
+/**
+ * Creates a retry policy
+ * @param  {Object|boolean} [options] Retry options (false - disable retries), see defaultOptions
+ * @return {Object}                   Policy ({ getDelay })
+ */
+const createRetryPolicy = (options = {}) => {
+  if (options === false) {
+    return { getDelay: () => null };
+  }
+
+  const { statuses = {}, ...general } = options;
+  const policy = {
+    ...defaultOptions,
+    ...general,
+    statuses: { ...defaultOptions.statuses, ...statuses }
+  };
+
+  /**
+   * Selects the rule for the error
+   * @param  {Error}  err Axios error
+   * @return {Object}     Rule (null - the error is not repeated)
+   */
+  const getRule = err => {
+    if (!err.response && NETWORK_ERRORS.indexOf(err.code) === -1) return null;
+    const rule = err.response ? policy.statuses[err.response.status] : policy.network;
+    if (!rule) return null;
+    const { statuses, network, ...base } = policy;
+    return { ...base, ...rule };
+  };
+
+  return {
+    /**
+     * Calculates the delay before repeating the failed request
+     * @param  {Error}  err Axios error
+     * @return {number}     Delay in ms (null - the request must not be repeated)
+     */
+    getDelay: err => {
+      const config = err && err.config;
+      const rule = config && getRule(err);
+      if (!rule) return null;
+
+      const attempt = config.retryAttempt || 0;
+      if (attempt >= rule.retries) return null;
+
+      // Non-idempotent requests are repeated only if the server certainly has not received them
+      const method = (config.method || 'get').toLowerCase();
+      if (rule.methods.indexOf(method) === -1) {
+        if (err.response || NOT_SENT_ERRORS.indexOf(err.code) === -1) return null;
+      }
+
+      const retryAfter = err.response ? getRetryAfter(err.response.headers) : null;
+      if (retryAfter !== null) {
+        return retryAfter <= rule.maxRetryAfter ? retryAfter : null;
+      }
+
+      const delay = Math.min(rule.maxDelay, rule.minDelay * Math.pow(rule.factor, attempt));
+      return rule.jitter ? Math.round(Math.random() * delay) : delay;
+    }
+  };
+};
+
+module.exports = { createRetryPolicy, getRetryAfter, NETWORK_ERRORS };
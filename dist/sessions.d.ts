@@ -0,0 +1,100 @@
+import { AuthStrategy } from './auth';
+
+/** Session state saved in the store */
+export interface SessionState {
+  token: string | null;
+  csrfToken: string | null;
+  /** Expiry of the token (ms) */
+  expiresAt?: number | null;
+  /** Other data of the auth strategy (OAuth2 refresh token, etc) */
+  credentials?: Record<string, any> | null;
+}
+
+/** Storage of session state (tokens and CSRF tokens) */
+export interface SessionStore {
+  get(id: string): Promise<SessionState | null>;
+  set(id: string, state: SessionState): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Stores session state in memory */
+export class MemorySessionStore implements SessionStore {
+  get(id: string): Promise<SessionState | null>;
+  set(id: string, state: SessionState): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Stores session state in a JSON file, so that it survives process restarts */
+export class FileSessionStore implements SessionStore {
+  /** @param path Path to the JSON file (created if it does not exist) */
+  constructor(path: string);
+  path: string;
+  get(id: string): Promise<SessionState | null>;
+  set(id: string, state: SessionState): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Options of the account session */
+export interface SessionOptions {
+  /** Session (account) ID */
+  id: string;
+  /** Authorization token (.ROBLOSECURITY, API key or OAuth2 access token) */
+  token: string | null;
+  /** Known X-CSRF token */
+  csrfToken?: string | null;
+  /** Callback function that will be called in case of token expiration */
+  refreshToken?: (() => Promise<string>) | null;
+  /** Expiry of the token (ms), if known */
+  expiresAt?: number | null;
+  /** Other data of the auth strategy (OAuth2 refresh token, etc) */
+  credentials?: Record<string, any> | null;
+  /** Auth strategy of this account (the one of the client by default) */
+  auth?: AuthStrategy | null;
+}
+
+/** Account session: cookie, CSRF token and a callback for refreshing the cookie */
+export class Session {
+  constructor(options: SessionOptions, store: SessionStore);
+  id: string;
+  token: string | null;
+  csrfToken: string | null;
+  refreshToken: (() => Promise<string>) | null;
+  expiresAt: number | null;
+  credentials: Record<string, any> | null;
+  auth: AuthStrategy | null;
+  store: SessionStore;
+  /** Order number of the last use of the session */
+  lastUsed: number;
+  /** When the session was last rate limited (ms) */
+  rateLimitedAt: number;
+  /** Error of the store that could not read the saved state (thrown when the session is used) */
+  loadError: Error | null;
+  /** Waits until the saved state is loaded (rejected with the error of the store) */
+  ready(): Promise<void>;
+  /** Changes the state of the session and saves it to the store */
+  update(changes: Partial<SessionState>): Promise<void>;
+  /** Refreshes the token with the refresher or the refreshToken callback (false if there is nothing to refresh with) */
+  refresh(refresher?: (session: Session) => Promise<Partial<SessionState>>): Promise<boolean>;
+}
+
+/** Account selection: ID or function returning a session */
+export type AccountSelector = string | ((sessions: Array<Session>) => Session);
+
+/** Session selection policy */
+export type SessionPolicy = 'round-robin' | 'least-recently-rate-limited' | ((sessions: Array<Session>) => Session);
+
+/** Pool of account sessions, from which a session is selected for each request */
+export class SessionPool {
+  constructor(options?: { store?: SessionStore; policy?: SessionPolicy });
+  store: SessionStore;
+  /** Registers an account */
+  add(options: SessionOptions): Session;
+  /** Removes an account (the saved state is also deleted) */
+  remove(id: string): Promise<void>;
+  /** Returns the session of the account */
+  get(id: string): Session | undefined;
+  /** All sessions */
+  list(): Array<Session>;
+  /** Selects a session for the request (by the account or by the pool policy) */
+  select(account?: AccountSelector | null): Promise<Session>;
+}
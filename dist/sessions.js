@@ -0,0 +1,299 @@
+const fs = require('fs');
+
+/** Stores session state (tokens and CSRF tokens) in memory */
+class MemorySessionStore {
+  constructor() {
+    this.states = {};
+  }
+
+  /**
+   * Returns the saved state of the session
+   * @param  {string}          id Session (account) ID
+   * @return {Promise<Object>}    State ({ token, csrfToken, expiresAt, credentials }) or null
+   */
+  async get(id) {
+    return this.states[id] || null;
+  }
+
+  /**
+   * Saves the state of the session
+   * @param {string} id    Session (account) ID
+   * @param {Object} state State ({ token, csrfToken, expiresAt, credentials })
+   */
+  async set(id, state) {
+    this.states[id] = { ...state };
+  }
+
+  /**
+   * Deletes the saved state of the session
+   * @param {string} id Session (account) ID
+   */
+  async delete(id) {
+    delete this.states[id];
+  }
+}
+
+/** Stores session state in a JSON file, so that it survives process restarts */
+class FileSessionStore {
+  /**
+   * @param {string} path Path to the JSON file (created if it does not exist)
+   */
+  constructor(path) {
+    this.path = path;
+    this.states = null;
+    // Writes are performed one after another
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the file once
+   * @return {Object} States of all sessions
+   */
+  load() {
+    if (!this.states) {
+      this.states = fs.existsSync(this.path)
+        ? JSON.parse(fs.readFileSync(this.path, 'utf8'))
+        : {};
+    }
+    return this.states;
+  }
+
+  /** Writes all states to the file */
+  save() {
+    const data = JSON.stringify(this.states, null, 2);
+    // A failed write does not stop the next ones. The file is replaced at once (a temporary file is renamed),
+    // so a crash in the middle of a write does not leave it broken
+    const temp = `${this.path}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(temp, data))
+      .then(() => fs.promises.rename(temp, this.path));
+    return this.writing;
+  }
+
+  async get(id) {
+    return this.load()[id] || null;
+  }
+
+  async set(id, state) {
+    this.load()[id] = { ...state };
+    await this.save();
+  }
+
+  async delete(id) {
+    delete this.load()[id];
+    await this.save();
+  }
+}
+
+/** Account session: cookie, CSRF token and a callback for refreshing the cookie */
+class Session {
+  /**
+   * @param {Object}                     options                Session options
+   * @param {string}                     options.id             Session (account) ID
+   * @param {string}                     options.token          Authorization token (.ROBLOSECURITY, API key or OAuth2 access token)
+   * @param {string}                     [options.csrfToken]    Known X-CSRF token
+   * @param {function():Promise<string>} [options.refreshToken] Callback function that will be called in case of token expiration
+   * @param {number}                     [options.expiresAt]    Expiry of the token (ms), if known
+   * @param {Object}                     [options.credentials]  Other data of the auth strategy (OAuth2 refresh token, etc)
+   * @param {Object}                     [options.auth]         Auth strategy of this account (the one of the client by default)
+   * @param {Object}                     store                  Session store
+   */
+  constructor({
+    id,
+    token,
+    csrfToken = null,
+    refreshToken = null,
+    expiresAt = null,
+    credentials = null,
+    auth = null
+  }, store) {
+    if (refreshToken && typeof(refreshToken) !== 'function') {
+      throw new Error(
+        'Callback "refreshToken" must be asynchronous functions that returns new tokens'
+      );
+    }
+
+    this.id = id;
+    this.token = token;
+    this.csrfToken = csrfToken;
+    this.refreshToken = refreshToken;
+    this.expiresAt = expiresAt;
+    this.credentials = credentials;
+    this.auth = auth;
+    this.store = store;
+    /** Order number of the last use of the session */
+    this.lastUsed = 0;
+    /** When the session was last rate limited (ms) */
+    this.rateLimitedAt = 0;
+    this.refreshing = null;
+
+    // The saved state is newer than the one specified in the code (it could be refreshed).
+    // An error of the store (a broken file, no access) is thrown when the session is used
+    this.loadError = null;
+    this.loading = Promise.resolve()
+      .then(() => store.get(id))
+      .then(state => {
+        if (state) {
+          this.token = state.token || this.token;
+          this.csrfToken = state.csrfToken || this.csrfToken;
+          this.expiresAt = state.expiresAt || this.expiresAt;
+          this.credentials = state.credentials || this.credentials;
+        }
+      }, err => {
+        this.loadError = err;
+      });
+  }
+
+  /**
+   * Waits until the saved state of the session is loaded
+   * @return {Promise} Rejected with the error of the store if the state could not be read
+   */
+  async ready() {
+    await this.loading;
+    if (this.loadError) {
+      throw this.loadError;
+    }
+  }
+
+  /**
+   * Changes the state of the session and saves it to the store
+   * @param {Object} changes New values ({ token, csrfToken, expiresAt, credentials })
+   */
+  async update(changes) {
+    Object.assign(this, changes);
+    await this.store.set(this.id, {
+      token: this.token,
+      csrfToken: this.csrfToken,
+      expiresAt: this.expiresAt,
+      credentials: this.credentials
+    });
+  }
+
+  /**
+   * Refreshes the token (several simultaneous calls cause one refresh)
+   * @param  {function(Session):Promise<Object>} [refresher] Returns the changes of the session
+   *                                                         (by default, the token from the refreshToken callback)
+   * @return {Promise<boolean>}                              false if there is nothing to refresh with
+   */
+  refresh(refresher) {
+    const refresh = refresher || (this.refreshToken && (() => this.refreshToken().then(token => ({ token }))));
+    if (!refresh) return Promise.resolve(false);
+    if (!this.refreshing) {
+      this.refreshing = this.ready()
+        .then(() => refresh(this))
+        // The old CSRF token is bound to the old token
+        .then(changes => this.update({ ...changes, csrfToken: null }))
+        .then(() => true)
+        .finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+}
+
+/** Session selection policies */
+const policies = {
+  // In turn
+  'round-robin': sessions => sessions.reduce((selected, session) => {
+    return session.lastUsed < selected.lastUsed ? session : selected;
+  }),
+  // The one that was rate limited the longest time ago (never is best)
+  'least-recently-rate-limited': sessions => sessions.reduce((selected, session) => {
+    if (session.rateLimitedAt !== selected.rateLimitedAt) {
+      return session.rateLimitedAt < selected.rateLimitedAt ? session : selected;
+    }
+    return session.lastUsed < selected.lastUsed ? session : selected;
+  })
+};
+
+/** Pool of account sessions, from which a session is selected for each request */
+class SessionPool {
+  /**
+   * @param {Object}          [options]        Pool options
+   * @param {Object}          [options.store]  Session store (in memory by default)
+   * @param {string|function} [options.policy] Selection policy: "round-robin", "least-recently-rate-limited"
+   *                                           or function(sessions) returning a session
+   */
+  constructor({ store = new MemorySessionStore(), policy = 'round-robin' } = {}) {
+    this.store = store;
+    this.policy = typeof(policy) === 'function' ? policy : policies[policy];
+    this.sessions = {};
+    this.uses = 0;
+
+    if (!this.policy) {
+      throw new Error(`Unknown session policy: ${policy}`);
+    }
+  }
+
+  /**
+   * Registers an account
+   * @param  {Object}  options Session options (see Session)
+   * @return {Session}         Created session
+   */
+  add(options) {
+    if (this.sessions[options.id]) {
+      throw new Error(`Account "${options.id}" is already registered`);
+    }
+    this.sessions[options.id] = new Session(options, this.store);
+    return this.sessions[options.id];
+  }
+
+  /**
+   * Removes an account (the saved state is also deleted)
+   * @param {string} id Session (account) ID
+   */
+  async remove(id) {
+    delete this.sessions[id];
+    await this.store.delete(id);
+  }
+
+  /**
+   * Returns the session of the account
+   * @param  {string}  id Session (account) ID
+   * @return {Session}    Session (undefined if not registered)
+   */
+  get(id) {
+    return this.sessions[id];
+  }
+
+  /** @return {Array<Session>} All sessions */
+  list() {
+    return Object.values(this.sessions);
+  }
+
+  /**
+   * Selects a session for the request
+   * @param  {string|function} [account] Account ID or function(sessions) returning a session,
+   *                                     if not specified, the pool policy is used
+   * @return {Promise<Session>}          Selected session
+   */
+  async select(account) {
+    const sessions = this.list();
+    if (!sessions.length) {
+      throw new Error('No accounts are registered in the session pool');
+    }
+
+    let session;
+    if (typeof(account) === 'function') {
+      session = account(sessions);
+    } else if (account != null) {
+      session = this.sessions[account];
+      if (!session) throw new Error(`Unknown account "${account}"`);
+    } else {
+      session = this.policy(sessions);
+    }
+    if (!session || this.sessions[session.id] !== session) {
+      throw new Error(
+        typeof(account) === 'function'
+          ? 'The account selector must return a session of the pool'
+          : 'The pool policy must return a session of the pool'
+      );
+    }
+
+    session.lastUsed = ++this.uses;
+    await session.ready();
+    return session;
+  }
+}
+
+module.exports = { SessionPool, Session, MemorySessionStore, FileSessionStore };
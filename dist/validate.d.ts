@@ -0,0 +1,40 @@
+/** Invalid field of the method parameters */
+export interface ValidationIssue {
+  /** Name of the field (decorators[1], request.name, etc) */
+  param: string;
+  /** What is wrong (is required, must be integer, etc) */
+  message: string;
+  /** Passed value */
+  value: unknown;
+}
+
+/** Compact schema of a method parameter (embedded into the generated classes) */
+export interface ParamSchema {
+  type?: string;
+  format?: string;
+  enum?: Array<unknown>;
+  items?: ParamSchema;
+  properties?: { [name: string]: ParamSchema };
+  /** Required properties of the object */
+  requiredProperties?: Array<string>;
+  /** Is the parameter required */
+  required?: boolean;
+  /** null can be passed instead of a required parameter */
+  nullable?: boolean;
+}
+
+/**
+ * Checks the method parameters before the request is sent
+ * @throws {RbxValidationError} If at least one parameter is invalid
+ */
+export function validateParams(
+  method: string,
+  schemas: { [param: string]: ParamSchema },
+  params: unknown
+): void;
+
+/**
+ * Checks that the path parameters are passed (even when the validation is disabled)
+ * @throws {RbxValidationError} If a path parameter is missing
+ */
+export function checkPathParams(method: string, names: Array<string>, params: unknown): void;
@@ -0,0 +1,114 @@
+const { RbxValidationError } = require('./errors');
+
+/**
+ * Returns the JSON type of the value
+ * @param  {*}      value Value
+ * @return {string}       Type (array, null, object, etc)
+ */
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Checks of the schema types ("file" and unknown types are not checked)
+const typeChecks = {
+  // int64 identifiers do not always fit into a number, so they can also be passed as strings
+  integer: (value, format) => Number.isInteger(value) || (format === 'int64' && /^-?\d+$/.test(value)),
+  number: value => typeof value === 'number' && isFinite(value),
+  // Dates are serialized to strings
+  string: (value, format) => typeof value === 'string' || (format === 'date-time' && value instanceof Date),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeOf(value) === 'object'
+};
+
+/**
+ * Checks the value against the schema and collects the errors
+ * @param {*}             value  Value
+ * @param {Object}        schema Compact schema ({ type, format, enum, items, properties, requiredProperties })
+ * @param {string}        param  Name of the field (decorators[1], etc)
+ * @param {Array<Object>} errors Found errors
+ */
+const checkValue = (value, schema, param, errors) => {
+  const check = typeChecks[schema.type];
+  if (check && !check(value, schema.format)) {
+    const expected = schema.format ? `${schema.type} (${schema.format})` : schema.type;
+    errors.push({ param, message: `must be ${expected}, got ${typeOf(value)}`, value });
+    return;
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push({ param, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`, value });
+  } else if (schema.format === 'date-time' && typeof value === 'string' && isNaN(Date.parse(value))) {
+    errors.push({ param, message: 'must be a date (ISO 8601)', value });
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${param}[${index}]`, errors));
+  }
+  if (schema.properties) {
+    for (let [name, property] of Object.entries(schema.properties)) {
+      const field = value[name];
+      if (field === undefined || field === null) {
+        // Roblox usually does not specify which properties are required, then they are not checked
+        if (schema.requiredProperties && schema.requiredProperties.indexOf(name) !== -1) {
+          errors.push({ param: `${param}.${name}`, message: 'is required', value: field });
+        }
+        continue;
+      }
+      checkValue(field, property, `${param}.${name}`, errors);
+    }
+  }
+};
+
+/**
+ * Checks the method parameters before the request is sent
+ * @param  {string} method  Method name (Chat.v2.SendMessage, for the error)
+ * @param  {Object} schemas Compact schemas of the parameters ({ [param]: { type, ..., required, nullable } })
+ * @param  {Object} params  Parameters passed to the method
+ * @throws {RbxValidationError} If at least one parameter is invalid
+ */
+const validateParams = (method, schemas, params) => {
+  if (typeOf(params) !== 'object') {
+    throw new RbxValidationError(method, [
+      { param: 'params', message: `must be object, got ${typeOf(params)}`, value: params }
+    ]);
+  }
+
+  const errors = [];
+  for (let [param, schema] of Object.entries(schemas)) {
+    const value = params[param];
+    if (value === undefined || value === null) {
+      // Some parameters are required, but null can be passed instead of them
+      if (schema.required && !(schema.nullable && value === null)) {
+        errors.push({ param, message: 'is required', value });
+      }
+      continue;
+    }
+    checkValue(value, schema, param, errors);
+  }
+
+  if (errors.length) {
+    throw new RbxValidationError(method, errors);
+  }
+};
+
+/**
+ * Checks that the path parameters are passed. It is done even when the validation is disabled,
+ * so that a missing parameter does not become "null" in the address
+ * @param  {string}        method Method name (Chat.v2.SendMessage, for the error)
+ * @param  {Array<string>} names  Names of the path parameters
+ * @param  {Object}        params Parameters passed to the method
+ * @throws {RbxValidationError} If a path parameter is missing
+ */
+const checkPathParams = (method, names, params) => {
+  const errors = names
+    .filter(name => !params || params[name] === undefined || params[name] === null)
+    .map(name => ({ param: name, message: 'is required', value: params ? params[name] : params }));
+  if (errors.length) {
+    throw new RbxValidationError(method, errors);
+  }
+};
+
+module.exports = { validateParams, checkPathParams };
@@ -2,13 +2,23 @@ const fs = require('fs');
 const { execSync } = require('child_process');
 
 if (!fs.existsSync('./.dev')) {
-  execSync(
-    'node build.js',
-    { stdio: 'inherit' }
-  );
+  let built = true;
+  try {
+    execSync(
+      'node build.js',
+      { stdio: 'inherit' }
+    );
+  } catch (err) {
+    // The error is already printed by the build. The installation does not fail,
+    // the build script is kept so that the API can be built later (npm run build)
+    built = false;
+    console.error('The API was not built, run "npm run build" to build it.');
+  }
 
-  if (fs.existsSync('./build.js')) fs.unlinkSync('./build.js');
-  if (fs.existsSync('./postinstall.js')) fs.unlinkSync('./postinstall.js');
+  if (built) {
+    if (fs.existsSync('./build.js')) fs.unlinkSync('./build.js');
+    if (fs.existsSync('./postinstall.js')) fs.unlinkSync('./postinstall.js');
 
-  execSync('npm uninstall axios-concurrency js-beautify rimraf');
+    execSync('npm uninstall axios-concurrency js-beautify rimraf');
+  }
 }
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { Readable } = require('stream');
+const createClient = require('../dist/client');
+const { BatchLoader } = require('../dist/batch');
+const { MultipartBody } = require('../dist/multipart');
+const { RbxAbortError } = require('../dist/errors');
+const { startServer, sendJSON, sleep } = require('./helpers');
+
+/**
+ * Creates a server that responds after the delay
+ * @param  {number}          delay Delay of the responses (ms)
+ * @return {Promise<Object>}       Server
+ */
+const startSlowServer = delay => startServer(async (request, res) => {
+  await sleep(delay);
+  sendJSON(res, 200, { ok: true });
+});
+
+/**
+ * Checks that the promise is rejected with RbxAbortError soon after it was started
+ * @param  {Promise} promise   Aborted request
+ * @param  {number}  startedAt Start of the request (ms)
+ * @return {Promise}
+ */
+const assertAborted = async (promise, startedAt) => {
+  await assert.rejects(promise, RbxAbortError);
+  assert.ok(Date.now() - startedAt < 150, 'the request is rejected at once');
+};
+
+test('a request with an aborted signal is not sent', async () => {
+  const server = await startSlowServer(0);
+  try {
+    const client = createClient('cookie', null, { retry: false });
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(client.get(`${server.url}/item`, { signal: controller.signal }), RbxAbortError);
+    assert.strictEqual(server.requests.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a request in progress is aborted by its signal', async () => {
+  const server = await startSlowServer(200);
+  try {
+    const client = createClient('cookie', null);
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    const request = client.get(`${server.url}/item`, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assertAborted(request, startedAt);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a request waiting for the concurrency limit is aborted and does not keep a slot', async () => {
+  const server = await startSlowServer(200);
+  try {
+    const client = createClient('cookie', null, { limits: { concurrency: 1 } });
+    const controller = new AbortController();
+    const first = client.get(`${server.url}/first`);
+    const startedAt = Date.now();
+    const waiting = client.get(`${server.url}/waiting`, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assertAborted(waiting, startedAt);
+
+    assert.deepStrictEqual(await first, { ok: true });
+    assert.deepStrictEqual(await client.get(`${server.url}/next`), { ok: true });
+    assert.deepStrictEqual(server.requests.map(request => request.url), ['/first', '/next']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an upload waiting for the X-CSRF token is aborted', async () => {
+  const server = await startServer(async (request, res) => {
+    await sleep(200);
+    sendJSON(res, 403, { errors: [{ code: 0, message: 'Token Validation Failed' }] }, { 'x-csrf-token': 'valid' });
+  });
+  try {
+    const client = createClient('cookie', null, { retry: false, baseURLs: { 'https://auth.roblox.com': server.url } });
+    const controller = new AbortController();
+    const body = new MultipartBody({ Files: { data: Readable.from([Buffer.from('icon')]), filename: 'icon.png' } });
+    const startedAt = Date.now();
+    const upload = client.patch(`${server.url}/upload`, body, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assertAborted(upload, startedAt);
+    assert.deepStrictEqual(server.requests.map(request => request.url), ['/v2/logout']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a request waiting for the identical cached one is aborted by its signal', async () => {
+  const server = await startSlowServer(200);
+  try {
+    const client = createClient('cookie', null, { cache: true });
+    const controller = new AbortController();
+    const owner = client.get(`${server.url}/slow`);
+    const startedAt = Date.now();
+    const waiter = client.get(`${server.url}/slow`, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assertAborted(waiter, startedAt);
+    assert.deepStrictEqual(await owner, { ok: true });
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('aborted batch lookups are rejected and not requested', async () => {
+  const calls = [];
+  const loader = new BatchLoader(async keys => {
+    calls.push(keys);
+    return keys;
+  }, { name: 'items' });
+
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(loader.load(1, { signal: aborted.signal }), /items: Request aborted/);
+
+  const controller = new AbortController();
+  const abortedLookup = loader.load(2, { signal: controller.signal });
+  const lookup = loader.load(3);
+  controller.abort();
+  await assert.rejects(abortedLookup, RbxAbortError);
+  assert.strictEqual(await lookup, 3);
+  assert.deepStrictEqual(calls, [[3]]);
+
+  await assert.rejects(loader.load(4, { raw: true }), /the "raw" option is not supported/);
+});
+
+test('raw requests return the response', async () => {
+  const server = await startSlowServer(0);
+  try {
+    const client = createClient('cookie', null);
+    const response = await client.get(`${server.url}/item`, { raw: true });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data, { ok: true });
+  } finally {
+    await server.close();
+  }
+});
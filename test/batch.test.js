@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const createClient = require('../dist/client');
+const { BatchLoader } = require('../dist/batch');
+const { RbxApiError, RbxNotFoundError } = require('../dist/errors');
+const { startServer, sendJSON } = require('./helpers');
+
+/**
+ * Creates a loader that records its calls and returns the keys doubled
+ * @param  {Object} [options] Loader options
+ * @return {Object}           { loader, calls }
+ */
+const createDoublingLoader = options => {
+  const calls = [];
+  const loader = new BatchLoader(async (keys, callOptions) => {
+    calls.push({ keys, options: callOptions });
+    return keys.map(key => (key < 0 ? new Error(`${key} failed`) : key * 2));
+  }, options);
+  return { loader, calls };
+};
+
+test('lookups of one tick are loaded with one call and fanned back out', async () => {
+  const { loader, calls } = createDoublingLoader();
+  const results = await Promise.all([1, 2, 3, 2].map(key => loader.load(key)));
+  assert.deepStrictEqual(results, [2, 4, 6, 4]);
+  // Identical keys are requested once
+  assert.deepStrictEqual(calls.map(call => call.keys), [[1, 2, 3]]);
+});
+
+test('large batches are split by the maximum batch size', async () => {
+  const { loader, calls } = createDoublingLoader({ maxBatchSize: 2 });
+  await loader.loadMany([1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(calls.map(call => call.keys), [[1, 2], [3, 4], [5]]);
+});
+
+test('lookups with different options are sent separately', async () => {
+  const { loader, calls } = createDoublingLoader();
+  await Promise.all([
+    loader.load(1),
+    loader.load(2, { account: 'alt' }),
+    loader.load(3, { timeout: 1000 }),
+    loader.load(4, { headers: { 'X-Trace': 'a' } }),
+    loader.load(5)
+  ]);
+  assert.deepStrictEqual(calls.map(call => [call.keys, call.options]), [
+    [[1, 5], { account: undefined }],
+    [[2], { account: 'alt' }],
+    [[3], { account: undefined, timeout: 1000 }],
+    [[4], { account: undefined, headers: { 'X-Trace': 'a' } }]
+  ]);
+});
+
+test('failed items and failed batches reject their lookups', async () => {
+  const { loader } = createDoublingLoader();
+  const results = await loader.loadMany([1, -1]);
+  assert.strictEqual(results[0], 2);
+  assert.strictEqual(results[1].message, '-1 failed');
+
+  const failure = new RbxApiError('Request failed with status code 500', { status: 500 });
+  const failing = new BatchLoader(async () => { throw failure; });
+  const errors = await failing.loadMany(['a', 'b']);
+  // Each lookup has its own copy of the error
+  assert.notStrictEqual(errors[0], errors[1]);
+  for (let [index, error] of errors.entries()) {
+    assert.ok(error instanceof RbxApiError);
+    assert.strictEqual(error.status, 500);
+    assert.strictEqual(error.cause, failure);
+    assert.strictEqual(error.key, ['a', 'b'][index]);
+  }
+
+  const wrong = new BatchLoader(async () => []);
+  await assert.rejects(wrong.load(1), /must return an array of 1 results/);
+});
+
+test('the users loader coalesces lookups into the batch endpoint', async () => {
+  const server = await startServer((request, res) => {
+    const { userIds } = JSON.parse(request.body);
+    sendJSON(res, 200, { data: userIds.filter(id => id !== 404).map(id => ({ id, name: `User${id}` })) });
+  });
+  try {
+    const client = createClient('cookie', null, { baseURLs: { 'https://users.roblox.com': server.url } });
+    const results = await client.batch.users.loadMany([1, 2, 404]);
+    assert.deepStrictEqual(results.slice(0, 2), [{ id: 1, name: 'User1' }, { id: 2, name: 'User2' }]);
+    assert.ok(results[2] instanceof RbxNotFoundError);
+    assert.strictEqual(results[2].key, 404);
+
+    assert.strictEqual(server.requests.length, 1);
+    assert.strictEqual(server.requests[0].url, '/v1/users');
+    assert.deepStrictEqual(JSON.parse(server.requests[0].body).userIds, [1, 2, 404]);
+  } finally {
+    await server.close();
+  }
+});
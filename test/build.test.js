@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockServer } = require('../dist/mock-server');
+
+// Snapshot of the documents checked into the repository (Users, Chat, Groups, Cloud and the unavailable Broken)
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'snapshot');
+const BUILD_SCRIPT = path.join(__dirname, '..', 'build.js');
+
+// Project whose config builds the API into its own directory
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbx-api-build-'));
+const outDir = path.join(projectDir, 'out');
+after(() => fs.rmSync(projectDir, { recursive: true, force: true }));
+
+/**
+ * Runs the build script in the project
+ * @param  {Array<string>} args Arguments of the script
+ * @return {Object}             Result of the process ({ status, stdout, stderr })
+ */
+const runBuild = args => spawnSync(process.execPath, [BUILD_SCRIPT, ...args], {
+  cwd: projectDir,
+  env: { ...process.env, INIT_CWD: projectDir, RBX_API_CONFIG: '', RBX_API_SNAPSHOT: '' },
+  encoding: 'utf8',
+  timeout: 60000
+});
+
+let build;
+before(() => {
+  fs.writeFileSync(path.join(projectDir, 'rbx-api.config.js'), `module.exports = ${JSON.stringify({
+    outDir: './out',
+    specs: [{ url: 'https://apis.roblox.com', name: 'Cloud', versions: { v2: './cloud-v2.json' } }]
+  })};\n`);
+  build = runBuild(['--snapshot', SNAPSHOT_DIR]);
+});
+
+/**
+ * Reads the manifest of the build
+ * @return {Object}
+ */
+const readManifest = () => JSON.parse(fs.readFileSync(path.join(outDir, 'api-manifest.json'), 'utf8'));
+
+test('the API is built from the snapshot into the directory of the config', () => {
+  assert.strictEqual(build.status, 0, build.stderr);
+  assert.match(build.stdout, /4 built.*1 skipped.*0 failed/);
+  assert.match(build.stdout, /Broken: unavailable/);
+  for (let file of ['index.js', 'index.d.ts', 'api-manifest.json', 'apis/Users_v1.js', 'apis/Cloud_v2.d.ts']) {
+    assert.ok(fs.existsSync(path.join(outDir, file)), `${file} is generated`);
+  }
+  assert.deepStrictEqual(Object.keys(readManifest().apis).sort(), ['Chat', 'Cloud', 'Groups', 'Users']);
+});
+
+test('colliding method names are resolved and reported', () => {
+  assert.match(build.stdout, /Users\.v1\.Users:\s+GET \/v1\/users\/\{userId\} -> UsersByUserId\s+POST \/v1\/users -> Users/);
+  const users = readManifest().apis.Users.versions.v1;
+  assert.strictEqual(users.UsersByUserId.path, '/v1/users/{userId}');
+  assert.deepStrictEqual(users.UsersByUserId.aliases, ['Users_GetUserById']);
+  assert.strictEqual(users.Users.verb, 'POST');
+});
+
+test('OpenAPI 3 documents are normalised like Swagger 2.0 ones', () => {
+  const cloud = readManifest().apis.Cloud.versions.v2;
+  assert.deepStrictEqual(cloud.GetUniversesPlaces.params.map(({ name, location, type, required }) => ({ name, location, type, required })), [
+    { name: 'placeId', location: 'path', type: 'string', required: true },
+    { name: 'universeId', location: 'path', type: 'string', required: true },
+    { name: 'view', location: 'query', type: '("BASIC" | "FULL")', required: false }
+  ]);
+  assert.deepStrictEqual(cloud.GetUniversesPlaces.aliases, ['Cloud_GetPlace']);
+  const body = cloud.PatchUniversesPlaces.params.find(param => param.location === 'body');
+  assert.deepStrictEqual([body.name, body.type, body.required], ['body', 'Place', true]);
+});
+
+test('the generated client calls the methods of the documents', async () => {
+  const mock = await new MockServer({ snapshot: SNAPSHOT_DIR }).listen();
+  try {
+    const createRBXClient = require(outDir);
+    const api = await createRBXClient('cookie', null, { baseURLs: mock.baseURLs, retry: false });
+    const user = await api.Users.v1.Users_GetUserById({ userId: 1 });
+    assert.strictEqual(typeof user, 'object');
+    assert.deepStrictEqual(mock.requests.map(request => request.path), ['/v1/users/authenticated', '/v1/users/1']);
+    assert.strictEqual(api.describe('Users.v1.Users_GetUserById').path, '/v1/users/{userId}');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a missing snapshot fails the build and keeps the previous one', () => {
+  const manifest = fs.readFileSync(path.join(outDir, 'api-manifest.json'), 'utf8');
+  const failed = runBuild(['--snapshot', path.join(projectDir, 'missing')]);
+  assert.strictEqual(failed.status, 1);
+  assert.match(failed.stderr, /Snapshot not found: ".*snapshot\.json" does not exist/);
+  assert.strictEqual(fs.readFileSync(path.join(outDir, 'api-manifest.json'), 'utf8'), manifest);
+});
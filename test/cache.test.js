@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const axios = require('axios');
+const createClient = require('../dist/client');
+const { startServer, sendJSON, sleep } = require('./helpers');
+
+test('fresh responses are returned without requests until their TTL ends', async () => {
+  const server = await startServer((request, res) => sendJSON(res, 200, { count: server.requests.length }));
+  try {
+    const client = createClient('cookie', null, { cache: { ttl: 50 } });
+    assert.deepStrictEqual(await client.get(`${server.url}/count`), { count: 1 });
+    assert.deepStrictEqual(await client.get(`${server.url}/count`), { count: 1 });
+    assert.strictEqual(server.requests.length, 1);
+
+    await sleep(70);
+    assert.deepStrictEqual(await client.get(`${server.url}/count`), { count: 2 });
+    // Other parameters are another response
+    assert.deepStrictEqual(await client.get(`${server.url}/count`, { params: { a: 1 } }), { count: 3 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('outdated responses are revalidated with their ETag', async () => {
+  const server = await startServer((request, res) => {
+    if (request.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304, { etag: '"v1"' });
+      res.end();
+    } else {
+      sendJSON(res, 200, { value: 'cached' }, { etag: '"v1"' });
+    }
+  });
+  try {
+    const client = createClient('cookie', null, { cache: { ttl: 0 } });
+    assert.deepStrictEqual(await client.get(`${server.url}/value`), { value: 'cached' });
+    assert.deepStrictEqual(await client.get(`${server.url}/value`), { value: 'cached' });
+    assert.strictEqual(server.requests.length, 2);
+    assert.strictEqual(server.requests[1].headers['if-none-match'], '"v1"');
+  } finally {
+    await server.close();
+  }
+});
+
+test('identical requests in progress are sent once and their callers get copies of the data', async () => {
+  const server = await startServer(async (request, res) => {
+    await sleep(30);
+    sendJSON(res, 200, { user: { name: 'Roblox' } });
+  });
+  try {
+    const client = createClient('cookie', null, { cache: true });
+    const [first, second] = await Promise.all([client.get(`${server.url}/user`), client.get(`${server.url}/user`)]);
+    assert.strictEqual(server.requests.length, 1);
+
+    first.user.name = 'changed';
+    assert.strictEqual(second.user.name, 'Roblox');
+    const cached = await client.get(`${server.url}/user`);
+    assert.strictEqual(cached.user.name, 'Roblox');
+    cached.user.name = 'changed';
+    assert.strictEqual((await client.get(`${server.url}/user`)).user.name, 'Roblox');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a cancelled request does not wait for the identical one in progress', async () => {
+  const server = await startServer(async (request, res) => {
+    await sleep(200);
+    sendJSON(res, 200, { ok: true });
+  });
+  try {
+    const client = createClient('cookie', null, { cache: true });
+    const source = axios.CancelToken.source();
+    const owner = client.get(`${server.url}/slow`);
+    const waiter = client.get(`${server.url}/slow`, { cancelToken: source.token });
+    const startedAt = Date.now();
+    setTimeout(() => source.cancel('Cancelled'), 20);
+
+    await assert.rejects(waiter, err => err.name === 'RbxAbortError');
+    assert.ok(Date.now() - startedAt < 150, 'the waiting request is rejected at once');
+    assert.deepStrictEqual(await owner, { ok: true });
+  } finally {
+    await server.close();
+  }
+});
+
+test('invalidated and skipped responses are requested again', async () => {
+  const server = await startServer((request, res) => sendJSON(res, 200, { count: server.requests.length }));
+  try {
+    const client = createClient('cookie', null, { cache: { ttl: 60000 } });
+    await client.get(`${server.url}/count`);
+    assert.deepStrictEqual(await client.get(`${server.url}/count`, { cache: false }), { count: 2 });
+    assert.strictEqual(await client.cache.invalidate(server.url), 1);
+    assert.deepStrictEqual(await client.get(`${server.url}/count`), { count: 3 });
+  } finally {
+    await server.close();
+  }
+});
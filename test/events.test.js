@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const createClient = require('../dist/client');
+const { EventPoller, MemoryCheckpointStore } = require('../dist/events');
+const { startServer, sendJSON, sleep } = require('./helpers');
+
+/**
+ * Creates a friend request of the user
+ * @param  {number} id     User ID
+ * @param  {string} sentAt Date of the request (ISO)
+ * @return {Object}        Friend request
+ */
+const createFriendRequest = (id, sentAt) => ({
+  id,
+  name: `User${id}`,
+  displayName: `User${id}`,
+  friendRequest: { sentAt, senderId: id }
+});
+
+test('new friend requests are emitted once and the existing ones are only remembered', async () => {
+  // Lists of the requests returned by the polls (the last one is repeated)
+  const pages = [
+    [createFriendRequest(1, '2024-01-01T00:00:00Z')],
+    [createFriendRequest(2, '2024-01-02T00:00:00Z'), createFriendRequest(1, '2024-01-01T00:00:00Z')],
+    [
+      createFriendRequest(3, '2024-01-03T00:00:00Z'),
+      createFriendRequest(2, '2024-01-02T00:00:00Z'),
+      createFriendRequest(1, '2024-01-01T00:00:00Z')
+    ]
+  ];
+  const server = await startServer((request, res) => {
+    sendJSON(res, 200, { data: pages[Math.min(server.requests.length, pages.length) - 1] });
+  });
+  const client = createClient('cookie', null, { baseURLs: { 'https://friends.roblox.com': server.url } });
+  const poller = new EventPoller(client, { intervals: { friendRequest: 20 }, store: new MemoryCheckpointStore() });
+  try {
+    const emitted = [];
+    const handler = user => emitted.push(user.id);
+    poller.on('friendRequest', handler);
+    await sleep(150);
+    poller.off('friendRequest', handler);
+
+    assert.deepStrictEqual(emitted, [2, 3]);
+    assert.ok(server.requests.length > pages.length);
+    assert.strictEqual(server.requests[0].url, '/v1/my/friends/requests?limit=100&sortOrder=Desc');
+
+    // Polling stops with the last handler (a poll in progress is finished, but not repeated)
+    await sleep(30);
+    const polls = server.requests.length;
+    await sleep(60);
+    assert.strictEqual(server.requests.length, polls);
+  } finally {
+    poller.stop();
+    await server.close();
+  }
+});
+
+test('failed polls are emitted as errors and repeated', async () => {
+  const server = await startServer((request, res) => {
+    if (server.requests.length === 1) {
+      sendJSON(res, 500, { errors: [{ code: 0, message: 'Error' }] });
+    } else {
+      sendJSON(res, 200, { data: [createFriendRequest(1, '2024-01-01T00:00:00Z')] });
+    }
+  });
+  const client = createClient('cookie', null, { retry: false, baseURLs: { 'https://friends.roblox.com': server.url } });
+  const poller = new EventPoller(client, { intervals: { friendRequest: 20 }, emitExisting: true });
+  try {
+    const errors = [];
+    const emitted = [];
+    poller.on('error', error => errors.push(error));
+    poller.on('friendRequest', user => emitted.push(user.id));
+    await sleep(150);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].status, 500);
+    assert.deepStrictEqual(emitted, [1]);
+  } finally {
+    poller.stop();
+    await server.close();
+  }
+});
@@ -0,0 +1,50 @@
+const http = require('http');
+
+/**
+ * Starts a local HTTP server for the tests
+ * @param  {function(Object, ServerResponse)} handler Handles the request ({ method, url, headers, body })
+ * @return {Promise<Object>}                          { url, requests, close }
+ */
+const startServer = handler => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => {
+      server.close(done);
+      // Keep-alive connections of the client would keep the server open
+      if (server.closeAllConnections) server.closeAllConnections();
+    })
+  }));
+});
+
+/**
+ * Sends a JSON response
+ * @param {ServerResponse} res       Response
+ * @param {number}         status    HTTP status
+ * @param {*}              body      Body
+ * @param {Object}         [headers] Extra headers
+ */
+const sendJSON = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Waits for the time
+ * @param  {number}  ms Time in ms
+ * @return {Promise}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { startServer, sendJSON, sleep };
@@ -0,0 +1,136 @@
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const createClient = require('../dist/client');
+const { MultipartBody } = require('../dist/multipart');
+const { startServer, sendJSON } = require('./helpers');
+
+// Contents of the uploaded file (larger than one chunk of a stream)
+const FILE_CONTENT = Buffer.alloc(300000, 'rbx');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbx-api-multipart-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Creates a stream of the file contents, read in small chunks
+ * @return {Readable}
+ */
+const createFileStream = () => Readable.from((function* () {
+  for (let start = 0; start < FILE_CONTENT.length; start += 65536) {
+    yield FILE_CONTENT.slice(start, start + 65536);
+  }
+})());
+
+/**
+ * Responds as Roblox does: without the valid X-CSRF token, with 403 and the token in the header
+ * @param {Object}         request Received request
+ * @param {ServerResponse} res     Response
+ */
+const respondWithCsrf = (request, res) => {
+  if (request.headers['x-csrf-token'] !== 'valid') {
+    sendJSON(res, 403, { errors: [{ code: 0, message: 'Token Validation Failed' }] }, { 'x-csrf-token': 'valid' });
+  } else {
+    sendJSON(res, 200, { size: request.body.length });
+  }
+};
+
+/**
+ * Creates a client whose X-CSRF token is requested from the local server
+ * @param  {Object}        server Local server
+ * @return {AxiosInstance}        Client
+ */
+const createLocalClient = server => createClient('cookie', null, {
+  retry: false,
+  baseURLs: { 'https://auth.roblox.com': server.url, 'https://groups.roblox.com': server.url }
+});
+
+/**
+ * Reads the whole multipart body
+ * @param  {MultipartBody}   body Body
+ * @return {Promise<Buffer>}      Contents
+ */
+const readBody = async body => {
+  const chunks = [];
+  for await (let chunk of body.prepare().stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+test('the body is built from fields, Buffers, streams and file paths', async () => {
+  const file = path.join(tempDir, 'icon.png');
+  fs.writeFileSync(file, FILE_CONTENT);
+  const body = new MultipartBody({ name: 'Icon', buffer: Buffer.from('abc'), path: file, skipped: null }, { files: ['path'] });
+
+  assert.ok(body.isReplayable());
+  const contents = await readBody(body);
+  assert.strictEqual(contents.length, body.getLength());
+  const text = contents.toString('latin1');
+  assert.ok(text.includes('Content-Disposition: form-data; name="name"\r\n\r\nIcon\r\n'));
+  assert.ok(text.includes('name="path"; filename="icon.png"\r\nContent-Type: image/png'));
+  assert.ok(!text.includes('name="skipped"'));
+  assert.ok(contents.includes(FILE_CONTENT));
+  // Replayable bodies give the same contents again
+  assert.ok((await readBody(body)).equals(contents));
+
+  const streamed = new MultipartBody({ file: createFileStream() });
+  assert.ok(!streamed.isReplayable());
+  assert.strictEqual(streamed.getLength(), null);
+});
+
+test('streams are uploaded with their known size and the progress is reported', async () => {
+  const server = await startServer(respondWithCsrf);
+  try {
+    const client = createLocalClient(server);
+    const progress = [];
+    const body = new MultipartBody(
+      { file: { data: createFileStream(), filename: 'icon.png', knownLength: FILE_CONTENT.length } },
+      { onUploadProgress: event => progress.push(event) }
+    );
+    const { size } = await client.post(`${server.url}/upload`, body);
+
+    const request = server.requests[server.requests.length - 1];
+    assert.strictEqual(Number(request.headers['content-length']), size);
+    assert.match(request.headers['content-type'], /^multipart\/form-data; boundary=/);
+    assert.ok(request.body.includes(FILE_CONTENT));
+    assert.deepStrictEqual(progress[progress.length - 1], { loaded: size, total: size, field: null });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a stream is uploaded once, after the X-CSRF token is received', async () => {
+  const server = await startServer(respondWithCsrf);
+  try {
+    const client = createLocalClient(server);
+    const body = new MultipartBody({ Files: { data: createFileStream(), filename: 'icon.png' } });
+    await client.patch('https://groups.roblox.com/v1/groups/icon', body);
+
+    assert.deepStrictEqual(server.requests.map(request => request.url), ['/v2/logout', '/v1/groups/icon']);
+    assert.ok(server.requests[1].body.includes(FILE_CONTENT));
+  } finally {
+    await server.close();
+  }
+});
+
+test('a file is uploaded again when the X-CSRF token is rejected', async () => {
+  const file = path.join(tempDir, 'retry.png');
+  fs.writeFileSync(file, FILE_CONTENT);
+  const server = await startServer(respondWithCsrf);
+  try {
+    const client = createLocalClient(server);
+    await client.patch(`${server.url}/upload`, new MultipartBody({ Files: file }, { files: ['Files'] }));
+
+    // Rejected upload, request of the token, repeated upload
+    const uploads = server.requests.filter(request => request.url === '/upload');
+    assert.deepStrictEqual(server.requests.map(request => request.url), ['/upload', '/v2/logout', '/upload']);
+    for (let request of uploads) {
+      assert.ok(request.body.includes(FILE_CONTENT));
+    }
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const createClient = require('../dist/client');
+const { createRetryPolicy } = require('../dist/retry');
+const { startServer, sendJSON, sleep } = require('./helpers');
+
+// Short delays, so that the retries do not slow the tests down
+const FAST_RETRY = { minDelay: 5, maxDelay: 20, jitter: false };
+
+test('failed idempotent requests are repeated until they succeed', async () => {
+  const server = await startServer((request, res) => {
+    if (server.requests.length < 3) {
+      sendJSON(res, 503, { errors: [{ code: 0, message: 'Unavailable' }] });
+    } else {
+      sendJSON(res, 200, { ok: true });
+    }
+  });
+  try {
+    const client = createClient('cookie', null, { retry: FAST_RETRY });
+    assert.deepStrictEqual(await client.get(`${server.url}/flaky`), { ok: true });
+    assert.strictEqual(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the delay requested by the server is respected', async () => {
+  const server = await startServer((request, res) => {
+    if (server.requests.length === 1) {
+      sendJSON(res, 429, { errors: [{ code: 0, message: 'Too many requests' }] }, { 'retry-after': '0.1' });
+    } else {
+      sendJSON(res, 200, { ok: true });
+    }
+  });
+  try {
+    const client = createClient('cookie', null, { retry: FAST_RETRY });
+    const startedAt = Date.now();
+    await client.get(`${server.url}/throttled`);
+    assert.ok(Date.now() - startedAt >= 90, 'the request is repeated after Retry-After');
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('non-idempotent requests received by the server are not repeated', async () => {
+  const server = await startServer((request, res) => sendJSON(res, 500, { errors: [{ code: 0, message: 'Error' }] }));
+  try {
+    const client = createClient('cookie', null, { retry: FAST_RETRY });
+    await assert.rejects(client.post(`${server.url}/send`, { a: 1 }), err => err.response.status === 500);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('retries can be disabled', async () => {
+  const server = await startServer((request, res) => sendJSON(res, 503, {}));
+  try {
+    const client = createClient('cookie', null, { retry: false });
+    await assert.rejects(client.get(`${server.url}/flaky`), err => err.response.status === 503);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the backoff grows with the attempts and stops after the last one', () => {
+  const policy = createRetryPolicy({ retries: 2, minDelay: 100, factor: 2, jitter: false });
+  const error = attempt => ({ config: { method: 'get', retryAttempt: attempt }, response: { status: 503, headers: {} } });
+  assert.strictEqual(policy.getDelay(error(0)), 100);
+  assert.strictEqual(policy.getDelay(error(1)), 200);
+  assert.strictEqual(policy.getDelay(error(2)), null);
+});
+
+test('the concurrency limit of the host is respected', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const server = await startServer(async (request, res) => {
+    maxActive = Math.max(maxActive, ++active);
+    await sleep(20);
+    active--;
+    sendJSON(res, 200, {});
+  });
+  try {
+    const client = createClient('cookie', null, { limits: { concurrency: 2 } });
+    await Promise.all(Array.from({ length: 6 }, (_, index) => client.get(`${server.url}/item/${index}`)));
+    assert.strictEqual(maxActive, 2);
+    assert.strictEqual(server.requests.length, 6);
+  } finally {
+    await server.close();
+  }
+});
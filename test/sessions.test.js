@@ -0,0 +1,101 @@
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createClient = require('../dist/client');
+const { SessionPool, FileSessionStore } = require('../dist/sessions');
+const { startServer, sendJSON, sleep } = require('./helpers');
+
+// Temporary directories of the tests (deleted at the end)
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Creates a temporary directory for the files of a test
+ * @return {string} Path
+ */
+const createTempDir = () => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'rbx-api-sessions-')));
+  return tempDirs[tempDirs.length - 1];
+};
+
+test('simultaneous refreshes of a session call the refresher once', async () => {
+  let calls = 0;
+  const pool = new SessionPool();
+  const session = pool.add({
+    id: 'main',
+    token: 'old',
+    csrfToken: 'csrf',
+    refreshToken: async () => {
+      calls++;
+      await sleep(20);
+      return 'new';
+    }
+  });
+
+  const results = await Promise.all([session.refresh(), session.refresh(), session.refresh()]);
+  assert.deepStrictEqual(results, [true, true, true]);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(session.token, 'new');
+  // The X-CSRF token of the old token is dropped
+  assert.strictEqual(session.csrfToken, null);
+});
+
+test('requests rejected at the same time wait for one refresh of the token', async () => {
+  let refreshes = 0;
+  const server = await startServer((request, res) => {
+    if (request.headers.cookie === '.ROBLOSECURITY=new;') {
+      sendJSON(res, 200, { ok: true });
+    } else {
+      sendJSON(res, 401, { errors: [{ code: 0, message: 'Authorization has been denied for this request.' }] });
+    }
+  });
+  try {
+    const client = createClient('old', async () => {
+      refreshes++;
+      await sleep(20);
+      return 'new';
+    }, { retry: false });
+
+    const results = await Promise.all([1, 2, 3].map(id => client.get(`${server.url}/item/${id}`)));
+    assert.deepStrictEqual(results, [{ ok: true }, { ok: true }, { ok: true }]);
+    assert.strictEqual(refreshes, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the refreshed token is saved to the file store and read by the next pool', async () => {
+  const file = path.join(createTempDir(), 'sessions.json');
+  const pool = new SessionPool({ store: new FileSessionStore(file) });
+  const session = pool.add({ id: 'main', token: 'old', refreshToken: async () => 'new' });
+  await session.refresh();
+
+  const restarted = new SessionPool({ store: new FileSessionStore(file) });
+  restarted.add({ id: 'main', token: 'old' });
+  assert.strictEqual((await restarted.select('main')).token, 'new');
+});
+
+test('an unreadable session file is reported when the session is used', async () => {
+  const file = path.join(createTempDir(), 'sessions.json');
+  fs.writeFileSync(file, '{ broken');
+  const pool = new SessionPool({ store: new FileSessionStore(file) });
+  pool.add({ id: 'main', token: 'token', refreshToken: async () => 'new' });
+
+  await assert.rejects(pool.select('main'), SyntaxError);
+  await assert.rejects(pool.get('main').refresh(), SyntaxError);
+});
+
+test('the pool policy selects the accounts in turn', async () => {
+  const pool = new SessionPool({ policy: 'round-robin' });
+  pool.add({ id: 'a', token: 'a' });
+  pool.add({ id: 'b', token: 'b' });
+
+  const selected = [];
+  for (let i = 0; i < 4; i++) {
+    selected.push((await pool.select()).id);
+  }
+  assert.deepStrictEqual(selected, ['a', 'b', 'a', 'b']);
+  await assert.rejects(pool.select('unknown'), /Unknown account "unknown"/);
+});